@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Script to build an OpenZeppelin-compatible Merkle distribution tree
+ *
+ * Reads an allocation CSV and writes the root, a per-address proof file and
+ * the full tree dump, after verifying every proof locally.
+ */
+
+import { StandardMerkleTree } from '@openzeppelin/merkle-tree';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { readCsv, writeFileAtomic } from './lib/csv.js';
+
+export const LEAF_ENCODINGS = {
+    'address-amount': ['address', 'uint256'],
+    'index-address-amount': ['uint256', 'address', 'uint256']
+};
+
+// Amount columns recognised in this repo's outputs, in order of preference
+const AMOUNT_COLUMNS = ['amount', 'total_amount'];
+
+/**
+ * Read allocations from a CSV as sorted { address, amount } entries
+ *
+ * Duplicate addresses are rejected unless `sumDuplicates` is set; zero amounts are dropped.
+ */
+export function loadAllocations(filename, { asset, amountColumn, sumDuplicates = false } = {}) {
+    let rows = readCsv(filename);
+    if (rows.length === 0) {
+        throw new Error(`${filename} has no allocations`);
+    }
+    
+    const columns = Object.keys(rows[0]);
+    const userColumn = columns.includes('user') ? 'user' : 'address';
+    const column = amountColumn || AMOUNT_COLUMNS.find(name => columns.includes(name));
+    
+    if (!columns.includes(userColumn) || !column || !columns.includes(column)) {
+        throw new Error(`${filename}: needs a user (or address) column and an amount column (columns: ${columns.join(',')})`);
+    }
+    
+    if (columns.includes('asset')) {
+        const assets = new Set(rows.map(row => row.asset.toLowerCase()));
+        if (asset) {
+            rows = rows.filter(row => row.asset.toLowerCase() === asset.toLowerCase());
+        } else if (assets.size > 1) {
+            throw new Error(`${filename} holds ${assets.size} assets; pick one with --asset`);
+        }
+    }
+    
+    const totals = new Map();
+    
+    for (const row of rows) {
+        const address = ethers.getAddress(row[userColumn]);
+        if (totals.has(address) && !sumDuplicates) {
+            throw new Error(`${filename}: duplicate address ${address} (use --sum-duplicates to add up its rows)`);
+        }
+        totals.set(address, (totals.get(address) || 0n) + BigInt(row[column]));
+    }
+    
+    if (totals.size < rows.length) {
+        console.log(`Summed ${rows.length} rows into ${totals.size} addresses`);
+    }
+    
+    const allocations = [...totals]
+        .filter(([, amount]) => amount > 0n)
+        .map(([address, amount]) => ({ address, amount }));
+    
+    // Sort by address so indexes and output order never depend on input order
+    return allocations.sort((a, b) => a.address.toLowerCase().localeCompare(b.address.toLowerCase()));
+}
+
+/**
+ * Build the tree and per-address claims, verifying every proof
+ */
+export function buildMerkleTree(allocations, leaf = 'address-amount') {
+    const encoding = LEAF_ENCODINGS[leaf];
+    if (!encoding) {
+        throw new Error(`Unknown leaf encoding "${leaf}" (expected ${Object.keys(LEAF_ENCODINGS).join(' or ')})`);
+    }
+    
+    const values = allocations.map((allocation, index) => leaf === 'index-address-amount'
+        ? [index.toString(), allocation.address, allocation.amount.toString()]
+        : [allocation.address, allocation.amount.toString()]);
+    
+    const tree = StandardMerkleTree.of(values, encoding);
+    const claims = {};
+    let total = 0n;
+    
+    for (const [i, value] of tree.entries()) {
+        const proof = tree.getProof(i);
+        
+        if (!StandardMerkleTree.verify(tree.root, encoding, value, proof)) {
+            throw new Error(`Proof verification failed for ${value.join(',')}`);
+        }
+        
+        const address = leaf === 'index-address-amount' ? value[1] : value[0];
+        const amount = leaf === 'index-address-amount' ? value[2] : value[1];
+        claims[address] = {
+            ...(leaf === 'index-address-amount' ? { index: Number(value[0]) } : {}),
+            amount,
+            proof
+        };
+        total += BigInt(amount);
+    }
+    
+    return { tree, root: tree.root, encoding, claims, total };
+}
+
+/**
+ * Build, verify and save a Merkle distribution from an allocation CSV
+ */
+export function runMerkle(filename, { asset, leaf = 'address-amount', amountColumn, sumDuplicates = false, outputDir = '.' } = {}) {
+    const allocations = loadAllocations(filename, { asset, amountColumn, sumDuplicates });
+    if (allocations.length === 0) {
+        throw new Error(`${filename} has no non-zero allocations${asset ? ` for asset ${asset}` : ''}`);
+    }
+    
+    const { tree, root, encoding, claims, total } = buildMerkleTree(allocations, leaf);
+    
+    const name = path.basename(filename, '.csv') + (asset ? `_${asset.slice(0, 8)}` : '');
+    fs.mkdirSync(outputDir, { recursive: true });
+    
+    const proofsFile = path.join(outputDir, `merkle_${name}.json`);
+    writeFileAtomic(proofsFile, JSON.stringify({
+        root,
+        leafEncoding: encoding,
+        source: path.basename(filename),
+        ...(asset ? { asset: ethers.getAddress(asset) } : {}),
+        count: allocations.length,
+        total: total.toString(),
+        claims
+    }, null, 2));
+    
+    // The raw dump can be reloaded with StandardMerkleTree.load()
+    const treeFile = path.join(outputDir, `merkle_${name}.tree.json`);
+    writeFileAtomic(treeFile, JSON.stringify(tree.dump(), null, 2));
+    
+    console.log(`Merkle root: ${root}`);
+    console.log(`Leaves: ${allocations.length} (${encoding.join(',')}), total amount: ${total}`);
+    console.log(`All ${allocations.length} proofs verified`);
+    console.log(`Saved proofs to ${proofsFile}`);
+    console.log(`Saved tree dump to ${treeFile}`);
+    
+    return { root, claims, total };
+}
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Script to calculate time-weighted predeposit points per user
+ *
+ * Points are balance × time held between a start and an end block, over krates
+ * deposits and vault share balances, with the multipliers and boosts of the
+ * campaign's `points` config.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadKratesEvents } from './fetch_krates_events.js';
+import { getSharePrice, loadVaultEvents, sharesToAssets } from './fetch_vault_balance.js';
+import { loadAttributionRules } from './lib/attribution.js';
+import { getBlockTimestamps } from './lib/block_times.js';
+import { writeFileAtomic } from './lib/csv.js';
+import { listExclusion, loadEligibilityRules } from './lib/eligibility.js';
+import { getFinalBlock } from './lib/finality.js';
+import { getProvider } from './lib/provider.js';
+import { calculatePoints, depositDeltas, parsePointsConfig, pointsTimeBlocks, shareTransferDeltas } from './lib/points.js';
+import { formatAmount, getTokenMetadata, getVaultAsset } from './lib/token_metadata.js';
+
+/**
+ * Build the time axis for a points window: block numbers, or timestamps when counting seconds
+ */
+async function buildTimeOf(provider, deltas, startBlock, endBlock, config) {
+    if (config.unit !== 'seconds') {
+        return block => block;
+    }
+    
+    const timestamps = await getBlockTimestamps(provider, pointsTimeBlocks(deltas, startBlock, endBlock, config.boosts));
+    return block => timestamps[block];
+}
+
+/**
+ * Save the points table to CSV file
+ */
+export function savePointsToFile(rows, filename = 'points.csv', unit = 'blocks') {
+    try {
+        const csvHeader = 'source,user,key,asset,symbol,balance,points,points_formatted,unit\n';
+        
+        const csvRows = rows.map(row => 
+            `${row.source},${row.user},${row.key},${row.asset},${row.symbol},${row.balance},${row.points},${formatAmount(row.points, row.decimals)},${unit}`
+        ).join('\n');
+        
+        const csvContent = csvHeader + csvRows;
+        
+        writeFileAtomic(filename, csvContent);
+        console.log(`Saved ${rows.length} points entries to ${filename}`);
+    } catch (error) {
+        console.error(`Error saving points to file: ${error.message}`);
+    }
+}
+
+/**
+ * Calculate points for every krates deposit and vault position in a campaign
+ */
+export async function runPoints(campaign) {
+    const config = parsePointsConfig(campaign.points);
+    
+    // Get provider connection
+    const provider = await getProvider(campaign.rpcUrls, campaign.rpcPool, campaign.chainId);
+    const finalBlock = await getFinalBlock(provider, campaign.finality);
+    console.log(`Final block: ${finalBlock}`);
+    
+    const resolveEnd = toBlock => {
+        const end = campaign.points?.endBlock ?? toBlock ?? 'latest';
+        return end === 'latest' ? finalBlock : end;
+    };
+    
+    const rows = [];
+    
+    if (campaign.krates) {
+        console.log(`\n=== Calculating krates points for ${campaign.krates.address} ===`);
+        
+        const startBlock = campaign.points?.startBlock ?? campaign.krates.fromBlock;
+        const endBlock = resolveEnd(campaign.krates.toBlock);
+        
+        // Points accrue over time, so only the address list rules apply here
+        const rules = loadEligibilityRules(campaign, 'krates');
+        const events = (await loadKratesEvents(provider, campaign))
+            .filter(event => !listExclusion(rules, event.user));
+        const deltas = depositDeltas(events);
+        const tokens = await getTokenMetadata(provider, events.map(event => event.asset));
+        const timeOf = await buildTimeOf(provider, deltas, startBlock, endBlock, config);
+        
+        for (const row of calculatePoints(deltas, { startBlock, endBlock, timeOf, ...config })) {
+            rows.push({
+                source: 'krates',
+                ...row,
+                asset: row.key,
+                symbol: tokens[row.key].symbol,
+                decimals: tokens[row.key].decimals
+            });
+        }
+    }
+    
+    if (campaign.vaults) {
+        const { addresses, fromBlock } = campaign.vaults;
+        const rules = loadEligibilityRules(campaign, 'vaults');
+        
+        const startBlock = campaign.points?.startBlock ?? fromBlock;
+        const endBlock = resolveEnd(campaign.vaults.toBlock);
+        
+        for (const vaultAddress of addresses) {
+            console.log(`\n=== Calculating vault points for ${vaultAddress} ===`);
+            
+            const events = await loadVaultEvents(provider, vaultAddress, fromBlock, endBlock, loadAttributionRules(campaign), campaign.logSource);
+            const deltas = shareTransferDeltas(events, vaultAddress)
+                .filter(delta => !listExclusion(rules, delta.user));
+            const timeOf = await buildTimeOf(provider, deltas, startBlock, endBlock, config);
+            
+            // Share-time is linear in shares, so it converts to asset-time at the end block's share price
+            const sharePrice = await getSharePrice(provider, vaultAddress, endBlock);
+            const asset = await getVaultAsset(provider, vaultAddress);
+            const tokens = await getTokenMetadata(provider, [asset]);
+            
+            for (const row of calculatePoints(deltas, { startBlock, endBlock, timeOf, ...config })) {
+                rows.push({
+                    source: 'vault',
+                    user: row.user,
+                    key: row.key,
+                    balance: sharesToAssets(row.balance, sharePrice),
+                    points: sharesToAssets(row.points, sharePrice),
+                    asset,
+                    symbol: tokens[asset].symbol,
+                    decimals: tokens[asset].decimals
+                });
+            }
+        }
+    }
+    
+    fs.mkdirSync(campaign.outputDir, { recursive: true });
+    savePointsToFile(rows, path.join(campaign.outputDir, 'points.csv'), config.unit);
+    
+    // Print summary
+    const users = new Set(rows.map(row => row.user));
+    console.log("\nPoints Summary:");
+    console.log(`Total positions: ${rows.length}`);
+    console.log(`Total unique users: ${users.size}`);
+    console.log(`Time unit: ${config.unit}`);
+}
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+/**
+ * Command-line entry point for predeposit snapshots
+ *
+ * Usage: node cli.js <command> [options]
+ *
+ * Campaign commands read a named campaign from the config file and flags
+ * override its values; standalone commands (such as diff) work on existing
+ * output files only.
+ */
+
+import { ethers } from 'ethers';
+import { parseArgs } from 'util';
+import { runMerkle } from './build_merkle.js';
+import { runPoints } from './calculate_points.js';
+import { runDiff } from './diff_snapshots.js';
+import { runEvents } from './fetch_events.js';
+import { runKrates } from './fetch_krates_events.js';
+import { runVaults } from './fetch_vault_balance.js';
+import { runJoin } from './join_sources.js';
+import { ConfigError, DEFAULT_CONFIG_FILE, loadConfig, parseBlock, parseFinality, resolveCampaign } from './lib/config.js';
+import { DEFAULT_API_HOST, DEFAULT_API_PORT } from './lib/query_api.js';
+import { DEFAULT_CONCURRENCY } from './lib/rpc_pool.js';
+import { runReconcile } from './reconcile_vaults.js';
+import { runSnapshots } from './take_snapshots.js';
+import { runStatement } from './user_statement.js';
+import { runWatch } from './watch.js';
+
+const COMMANDS = {
+    krates: {
+        description: 'Fetch DepositProcessed events and write krates_events.csv and kraters_grouped.csv',
+        allNetworks: true,
+        run: campaign => runKrates(campaign)
+    },
+    vaults: {
+        description: 'Fetch vault events and write vault_user_balances_<vault>-<block>.csv',
+        allNetworks: true,
+        run: campaign => runVaults(campaign)
+    },
+    events: {
+        description: 'Fetch and decode the campaign\'s eventSources into events_<name>.csv',
+        run: campaign => runEvents(campaign)
+    },
+    points: {
+        description: 'Calculate time-weighted points per user and write points.csv',
+        run: campaign => runPoints(campaign)
+    },
+    snapshot: {
+        description: 'Write krates totals and vault balances as of given blocks/timestamps (--at, --every)',
+        run: (campaign, values) => runSnapshots(campaign, {
+            at: values.at,
+            every: values.every,
+            since: values.since,
+            until: values.until
+        })
+    },
+    watch: {
+        description: 'Keep kraters_grouped.csv and vault balances updated as blocks finalize (--poll, --write-every)',
+        run: (campaign, values) => runWatch(campaign, {
+            poll: values.poll,
+            writeEvery: values['write-every'],
+            port: values.port,
+            host: values.host
+        })
+    },
+    serve: {
+        description: 'Run watch with the HTTP query API over the latest balances (--port, --host)',
+        run: (campaign, values) => runWatch(campaign, {
+            poll: values.poll,
+            writeEvery: values['write-every'],
+            port: values.port ?? String(DEFAULT_API_PORT),
+            host: values.host
+        })
+    },
+    join: {
+        description: 'Join krates deposits and vault holdings per user and asset into join_report.csv',
+        run: campaign => runJoin(campaign)
+    },
+    reconcile: {
+        description: 'Check ledger balances against balanceOf/totalSupply/totalAssets; exits 1 on mismatch',
+        run: (campaign, values) => runReconcile(campaign, { tolerance: values.tolerance })
+    },
+    user: {
+        description: 'Write one user\'s statement of deposits, vault events and exclusions: user <address>',
+        run: (campaign, values, args) => {
+            if (args.length !== 1 || !ethers.isAddress(args[0])) {
+                throw new ConfigError('user needs exactly one address: user <address>');
+            }
+            return runStatement(campaign, args[0]);
+        }
+    },
+    diff: {
+        description: 'Compare two grouped krates or vault balance CSVs: diff <old.csv> <new.csv>',
+        standalone: true,
+        run: (values, args) => {
+            if (args.length !== 2) {
+                throw new ConfigError('diff needs exactly two files: diff <old.csv> <new.csv>');
+            }
+            runDiff(args[0], args[1], { threshold: values.threshold, outputDir: values['output-dir'] });
+        }
+    },
+    merkle: {
+        description: 'Build and verify a Merkle distribution tree from an allocation CSV: merkle <file.csv>',
+        standalone: true,
+        run: (values, args) => {
+            if (args.length !== 1) {
+                throw new ConfigError('merkle needs exactly one allocation file: merkle <file.csv>');
+            }
+            runMerkle(args[0], {
+                asset: values.asset,
+                leaf: values.leaf,
+                amountColumn: values['amount-column'],
+                sumDuplicates: values['sum-duplicates'],
+                outputDir: values['output-dir']
+            });
+        }
+    },
+    all: {
+        description: 'Run krates, then vaults',
+        allNetworks: true,
+        run: async campaign => {
+            await runKrates(campaign);
+            await runVaults(campaign);
+        }
+    }
+};
+
+const OPTIONS = {
+    'config': { type: 'string', short: 'c', default: DEFAULT_CONFIG_FILE },
+    'campaign': { type: 'string' },
+    'network': { type: 'string' },
+    'rpc': { type: 'string', multiple: true },
+    'max-rps': { type: 'string' },
+    'max-total-rps': { type: 'string' },
+    'concurrency': { type: 'string' },
+    'quorum': { type: 'boolean' },
+    'from-block': { type: 'string' },
+    'to-block': { type: 'string' },
+    'krates-address': { type: 'string' },
+    'vault': { type: 'string', multiple: true },
+    'exclude': { type: 'string', multiple: true },
+    'output-dir': { type: 'string' },
+    'finality': { type: 'string' },
+    'prices': { type: 'string' },
+    'label-addresses': { type: 'boolean' },
+    'at': { type: 'string', multiple: true },
+    'every': { type: 'string' },
+    'since': { type: 'string' },
+    'until': { type: 'string' },
+    'poll': { type: 'string' },
+    'write-every': { type: 'string' },
+    'port': { type: 'string' },
+    'host': { type: 'string' },
+    'threshold': { type: 'string' },
+    'tolerance': { type: 'string' },
+    'asset': { type: 'string' },
+    'leaf': { type: 'string' },
+    'amount-column': { type: 'string' },
+    'sum-duplicates': { type: 'boolean' },
+    'help': { type: 'boolean', short: 'h' }
+};
+
+function usage() {
+    const commands = Object.entries(COMMANDS)
+        .map(([name, command]) => `  ${name.padEnd(10)}${command.description}`)
+        .join('\n');
+    
+    return `Usage: node cli.js <command> [options]
+
+Commands:
+${commands}
+
+Options:
+  -c, --config <file>         Config file, JSON or YAML (default: ${DEFAULT_CONFIG_FILE})
+  --campaign <name>           Campaign to run (default: the config's defaultCampaign)
+  --network <name>            Run only this network of a multi-network campaign
+  --rpc <url>                 RPC endpoint; repeat for several (replaces rpcUrls)
+  --max-rps <n>               Requests per second allowed on each RPC endpoint
+  --max-total-rps <n>         Requests per second allowed across all RPC endpoints
+  --concurrency <n>           eth_getLogs requests in flight at once (default: ${DEFAULT_CONCURRENCY})
+  --quorum                    Cross-check every eth_getLogs between two RPC endpoints
+  --from-block <block>        First block to scan
+  --to-block <block|latest>   Last block to scan / snapshot block
+  --krates-address <address>  Krates contract address
+  --vault <address>           Vault address; repeat for several (replaces vaults.addresses)
+  --exclude <address>         Excluded user; repeat for several (replaces exclude lists)
+  --output-dir <dir>          Directory for output files
+  --finality <tag|N>          How far "latest" goes: finalized (default), safe, latest or N confirmations
+  --prices <file>             Price file; adds USD columns and totals
+  --label-addresses           Add an address_type column (eoa, contract or safe)
+  --at <block|ISO time>       snapshot: take a snapshot at this block or timestamp; repeatable
+  --every <interval>          snapshot: series interval, e.g. 1d, 12h, 1w or 7200b (blocks)
+  --since <block|ISO time>    snapshot: first snapshot of the series
+  --until <block|ISO time>    snapshot: last snapshot of the series (default: latest)
+  --poll <seconds>            watch: how often to check for new blocks (default: 12)
+  --write-every <seconds>     watch: how often to rewrite the outputs (default: 60)
+  --port <port>               watch/serve: serve the query API on this port (serve default: ${DEFAULT_API_PORT})
+  --host <host>               watch/serve: address the query API listens on (default: ${DEFAULT_API_HOST})
+  --threshold <amount|pct%>   diff: hide changes smaller than this (token units, or % of old balance)
+  --tolerance <amount>        reconcile: allowed difference in base units (default: 0)
+  --asset <address>           merkle: asset to distribute when the file holds several
+  --leaf <encoding>           merkle: address-amount (default) or index-address-amount
+  --amount-column <name>      merkle: column holding the amount (default: amount or total_amount)
+  --sum-duplicates            merkle: add up rows of the same address instead of rejecting them
+  -h, --help                  Show this help`;
+}
+
+function parseNumber(value) {
+    return value !== undefined ? Number(value) : undefined;
+}
+
+/**
+ * Turn parsed flags into campaign overrides
+ */
+function flagsToOverrides(values) {
+    return {
+        network: values.network,
+        rpcUrls: values.rpc,
+        maxRps: parseNumber(values['max-rps']),
+        maxTotalRps: parseNumber(values['max-total-rps']),
+        concurrency: parseNumber(values.concurrency),
+        quorum: values.quorum,
+        fromBlock: parseBlock(values['from-block']),
+        toBlock: parseBlock(values['to-block']),
+        kratesAddress: values['krates-address'],
+        vaultAddresses: values.vault,
+        exclude: values.exclude,
+        outputDir: values['output-dir'],
+        finality: parseFinality(values.finality),
+        prices: values.prices,
+        addressLabels: values['label-addresses']
+    };
+}
+
+/**
+ * Main function: parse arguments, resolve the campaign and run the command
+ */
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`${error.message}\n\n${usage()}`);
+        process.exit(2);
+    }
+    
+    const { values, positionals } = parsed;
+    const [commandName] = positionals;
+    
+    if (values.help || !commandName) {
+        console.log(usage());
+        return;
+    }
+    
+    const command = COMMANDS[commandName];
+    if (!command) {
+        console.error(`Unknown command "${commandName}"\n\n${usage()}`);
+        process.exit(2);
+    }
+    
+    try {
+        if (command.standalone) {
+            await command.run(values, positionals.slice(1));
+            return;
+        }
+        
+        const campaign = resolveCampaign(loadConfig(values.config), values.campaign, flagsToOverrides(values));
+        if (campaign.networks && !command.allNetworks) {
+            const names = Object.keys(campaign.networks).join(', ');
+            throw new ConfigError(`"${commandName}" runs on one network at a time; pick one of ${names} with --network`);
+        }
+        
+        console.log(`Running "${commandName}" for campaign "${campaign.name}"${campaign.network ? ` on network "${campaign.network}"` : ''}`);
+        await command.run(campaign, values, positionals.slice(1));
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            console.error(`Configuration error: ${error.message}`);
+            process.exit(2);
+        }
+        console.error(`Error in main function: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * Script to compare two balance outputs and report what changed
+ *
+ * Works on the grouped krates files and the vault balance files, including the
+ * older three-column versions.
+ */
+
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { readCsv, readCsvHeader, writeFileAtomic } from './lib/csv.js';
+import { formatAmount } from './lib/token_metadata.js';
+
+/**
+ * Detect which output a CSV came from from its header line
+ */
+function detectFormat(filename) {
+    const columns = readCsvHeader(filename);
+    
+    if (columns.includes('vault') && columns.includes('amount')) {
+        return { name: 'vault balance', keyColumn: 'vault', amountColumn: 'amount' };
+    }
+    if (columns.includes('asset') && columns.includes('total_amount')) {
+        return { name: 'grouped krates', keyColumn: 'asset', amountColumn: 'total_amount' };
+    }
+    
+    throw new Error(`${filename}: not a grouped krates or vault balance file (columns: ${columns.join(',')})`);
+}
+
+/**
+ * Load a balance file into a Map of `${user}-${key}` -> { user, key, amount, decimals }
+ *
+ * A file with only a header is an empty balance set.
+ */
+export function loadBalances(filename) {
+    const format = detectFormat(filename);
+    const rows = readCsv(filename);
+    const balances = new Map();
+    
+    for (const row of rows) {
+        const user = ethers.getAddress(row.user);
+        const key = ethers.getAddress(row[format.keyColumn]);
+        const id = `${user}-${key}`;
+        
+        const existing = balances.get(id);
+        balances.set(id, {
+            user,
+            key,
+            amount: (existing?.amount || 0n) + BigInt(row[format.amountColumn]),
+            decimals: row.decimals !== undefined && row.decimals !== '' ? Number(row.decimals) : null
+        });
+    }
+    
+    return { format, balances };
+}
+
+/**
+ * Parse a threshold: "5%" (relative to the old balance) or an absolute amount
+ *
+ * Absolute thresholds are in token units when the file has a decimals
+ * column (e.g. "0.01" USDC), otherwise in raw base units.
+ */
+export function parseThreshold(value) {
+    if (value === undefined) return null;
+    
+    const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(value);
+    if (!match) {
+        throw new Error(`Invalid threshold "${value}": expected an amount like 0.01 or a percentage like 0.5%`);
+    }
+    
+    return match[2] === '%'
+        ? { percent: ethers.parseUnits(match[1], 18) }
+        : { amount: match[1] };
+}
+
+function isBelowThreshold(threshold, oldAmount, delta, decimals) {
+    if (!threshold) return false;
+    
+    const absDelta = delta < 0n ? -delta : delta;
+    
+    if (threshold.percent !== undefined) {
+        // New or exited balances are a 100% change
+        if (oldAmount === 0n) return false;
+        return absDelta * 100n * 10n ** 18n < threshold.percent * oldAmount;
+    }
+    
+    const minimum = decimals !== null
+        ? ethers.parseUnits(threshold.amount, decimals)
+        : BigInt(threshold.amount.split('.')[0]);
+    return absDelta < minimum;
+}
+
+/**
+ * Percentage change as a decimal string with two places, or '' when there was no old balance
+ */
+function percentChange(oldAmount, delta) {
+    if (oldAmount === 0n) return '';
+    return formatAmount(delta * 10000n / oldAmount, 2);
+}
+
+/**
+ * Compare two loaded balance maps
+ */
+export function diffBalances(oldBalances, newBalances, threshold = null) {
+    const changes = [];
+    const totals = new Map();
+    const ids = new Set([...oldBalances.keys(), ...newBalances.keys()]);
+    
+    for (const id of ids) {
+        const before = oldBalances.get(id);
+        const after = newBalances.get(id);
+        const { user, key } = after || before;
+        const decimals = after?.decimals ?? before?.decimals ?? null;
+        
+        const oldAmount = before?.amount || 0n;
+        const newAmount = after?.amount || 0n;
+        const delta = newAmount - oldAmount;
+        
+        // Totals always cover every balance, including hidden dust changes
+        const total = totals.get(key) || { key, oldTotal: 0n, newTotal: 0n, decimals };
+        total.oldTotal += oldAmount;
+        total.newTotal += newAmount;
+        totals.set(key, total);
+        
+        if (delta === 0n) continue;
+        if (isBelowThreshold(threshold, oldAmount, delta, decimals)) continue;
+        
+        let change = 'changed';
+        if (!before || oldAmount === 0n) change = 'new';
+        else if (!after || newAmount === 0n) change = 'exited';
+        
+        changes.push({ change, user, key, oldAmount, newAmount, delta, deltaPct: percentChange(oldAmount, delta), decimals });
+    }
+    
+    // Sort by change type, then by key and user
+    const order = { new: 0, exited: 1, changed: 2 };
+    changes.sort((a, b) => order[a.change] - order[b.change] || a.key.localeCompare(b.key) || a.user.localeCompare(b.user));
+    
+    return { changes, totals: [...totals.values()].sort((a, b) => a.key.localeCompare(b.key)) };
+}
+
+/**
+ * Save the diff report to CSV file
+ */
+export function saveDiffToFile(changes, keyColumn, filename) {
+    try {
+        const csvHeader = `change,user,${keyColumn},old_amount,new_amount,delta,delta_pct\n`;
+        
+        const csvRows = changes.map(entry => 
+            `${entry.change},${entry.user},${entry.key},${entry.oldAmount},${entry.newAmount},${entry.delta},${entry.deltaPct}`
+        ).join('\n');
+        
+        const csvContent = csvHeader + csvRows;
+        
+        writeFileAtomic(filename, csvContent);
+        console.log(`Saved ${changes.length} changes to ${filename}`);
+    } catch (error) {
+        console.error(`Error saving diff to file: ${error.message}`);
+    }
+}
+
+/**
+ * Compare two balance files, print the report and save the changes
+ */
+export function runDiff(oldFile, newFile, { threshold, outputDir = '.' } = {}) {
+    const before = loadBalances(oldFile);
+    const after = loadBalances(newFile);
+    
+    if (before.format.keyColumn !== after.format.keyColumn) {
+        throw new Error(`Cannot compare a ${before.format.name} file with a ${after.format.name} file`);
+    }
+    
+    const keyColumn = before.format.keyColumn;
+    const { changes, totals } = diffBalances(before.balances, after.balances, parseThreshold(threshold));
+    
+    const count = type => changes.filter(entry => entry.change === type).length;
+    
+    console.log(`\nDiff: ${oldFile} -> ${newFile}`);
+    if (threshold !== undefined) {
+        console.log(`Hiding changes below ${threshold}`);
+    }
+    console.log(`New users: ${count('new')}`);
+    console.log(`Exited users: ${count('exited')}`);
+    console.log(`Changed balances: ${count('changed')}`);
+    
+    console.log(`\nTotals per ${keyColumn}:`);
+    for (const total of totals) {
+        const delta = total.newTotal - total.oldTotal;
+        const fmt = amount => total.decimals !== null ? formatAmount(amount, total.decimals) : amount.toString();
+        const pct = percentChange(total.oldTotal, delta);
+        console.log(`  ${total.key}: ${fmt(total.oldTotal)} -> ${fmt(total.newTotal)} (delta ${fmt(delta)}${pct ? `, ${pct}%` : ''})`);
+    }
+    
+    fs.mkdirSync(outputDir, { recursive: true });
+    const name = file => path.basename(file, '.csv');
+    saveDiffToFile(changes, keyColumn, path.join(outputDir, `diff_${name(oldFile)}_vs_${name(newFile)}.csv`));
+    
+    return { changes, totals };
+}
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Script to fetch and decode the campaign's configured event sources
+ *
+ * Every decoded event is written to events_<name>.csv with one column per event parameter.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ConfigError, loadConfig, resolveCampaign } from './lib/config.js';
+import { writeFileAtomic } from './lib/csv.js';
+import { defineEventSource, loadEventSource } from './lib/event_source.js';
+import { resolveToBlock } from './lib/finality.js';
+import { getProvider } from './lib/provider.js';
+
+/**
+ * Render a decoded value as a CSV field; arrays and tuples become quoted JSON
+ */
+function csvValue(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'object') return value.toString();
+    
+    const json = JSON.stringify([...value], (key, item) => typeof item === 'bigint' ? item.toString() : item);
+    return `"${json.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Save decoded records to CSV file, one column per parameter name across all event types
+ */
+export function saveRecordsToFile(records, filename) {
+    try {
+        const columns = [...new Set(records.flatMap(record => Object.keys(record.args)))];
+        
+        const csvHeader = ['block_number', 'transaction_hash', 'log_index', 'address', 'event', ...columns].join(',') + '\n';
+        
+        const csvRows = records.map(record => 
+            [record.blockNumber, record.transactionHash, record.logIndex, record.address, record.event, ...columns.map(column => csvValue(record.args[column]))].join(',')
+        ).join('\n');
+        
+        writeFileAtomic(filename, csvHeader + csvRows);
+        console.log(`Saved ${records.length} events to ${filename}`);
+    } catch (error) {
+        console.error(`Error saving events to file: ${error.message}`);
+    }
+}
+
+/**
+ * Fetch, decode and save every event source of a campaign
+ */
+export async function runEvents(campaign) {
+    if (!campaign.eventSources?.length) {
+        throw new ConfigError(`Campaign "${campaign.name}" defines no eventSources`);
+    }
+    
+    const provider = await getProvider(campaign.rpcUrls, campaign.rpcPool, campaign.chainId);
+    fs.mkdirSync(campaign.outputDir, { recursive: true });
+    
+    for (const config of campaign.eventSources) {
+        console.log(`\n=== Event source ${config.name} ===`);
+        
+        const source = defineEventSource(config);
+        const toBlock = await resolveToBlock(provider, source.toBlock, campaign.finality);
+        const records = await loadEventSource(provider, source, source.fromBlock, toBlock, { logSource: campaign.logSource });
+        
+        saveRecordsToFile(records, path.join(campaign.outputDir, `events_${source.name}.csv`));
+        
+        // Print summary
+        for (const eventName of source.eventNames) {
+            console.log(`  ${eventName}: ${records.filter(record => record.event === eventName).length}`);
+        }
+    }
+}
+
+/**
+ * Main function: run the default campaign from campaigns.json
+ */
+async function main() {
+    try {
+        await runEvents(resolveCampaign(loadConfig()));
+    } catch (error) {
+        console.error(`Error in main function: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the script when executed directly (the CLI imports it instead)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
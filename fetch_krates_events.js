@@ -5,164 +5,58 @@
 
 import { ethers } from 'ethers';
 import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ConfigError, loadConfig, networkCampaigns, resolveCampaign } from './lib/config.js';
+import { defineEventSource, loadEventSource } from './lib/event_source.js';
+import { resolveToBlock } from './lib/finality.js';
+import { chainName, getProvider } from './lib/provider.js';
+import { getBlockTimestamps } from './lib/block_times.js';
+import { formatUsd, loadPriceTable, priceRecords, printUsdTotals, usdTotalsByAsset } from './lib/pricing.js';
+import { chainTokenKey, getTokenMetadata, tokenColumns } from './lib/token_metadata.js';
+import { getAddressLabels, labelsEnabled } from './lib/address_labels.js';
+import { attributeEvents, loadAttributionRules, routerSenders, saveAttributionMap } from './lib/attribution.js';
+import { applyEligibility, listExclusion, loadEligibilityRules, saveAuditToFile } from './lib/eligibility.js';
+import { writeFileAtomic } from './lib/csv.js';
 
-// Contract address
-const CONTRACT_ADDRESS = "0xb01dadec98308528ee57a17b24a473213c1704bb";
-
-// Ethereum mainnet RPC endpoints
-const RPC_ENDPOINTS = [
-    // "https://eth-mainnet.g.alchemy.com/v2/demo",  // Free tier, rate limited
-    "https://eth.llamarpc.com",  // Free public RPC
+// DepositProcessed(address,address,uint256,uint256,address): asset, user and amount are indexed
+export const KRATES_EVENTS = [
+    'DepositProcessed(address indexed asset, address indexed user, uint256 indexed amount, uint256 chainId, address referral)'
 ];
 
 /**
- * Get a provider connection to Ethereum mainnet
+ * Fetch and decode all DepositProcessed events from the contract, scanning only blocks missing from the log cache
  */
-async function getProvider() {
-    for (const endpoint of RPC_ENDPOINTS) {
-        try {
-            const provider = new ethers.JsonRpcProvider(endpoint);
-            // Test the connection
-            await provider.getBlockNumber();
-            console.log(`Connected to Ethereum mainnet via ${endpoint}`);
-            return provider;
-        } catch (error) {
-            console.log(`Failed to connect to ${endpoint}: ${error.message}`);
-            continue;
-        }
-    }
-    
-    throw new Error("Failed to connect to any Ethereum RPC endpoint");
+export async function getDepositProcessedEvents(provider, contractAddress, fromBlock = 0, toBlock = 'latest', scanOptions = {}) {
+    const source = defineEventSource({ name: 'DepositProcessed', address: contractAddress, events: KRATES_EVENTS });
+    return loadEventSource(provider, source, fromBlock, toBlock, scanOptions);
 }
 
 /**
- * Fetch DepositProcessed events from the contract for a specific block range
+ * Flatten decoded DepositProcessed records into the full payload with log provenance
  */
-async function getDepositProcessedEventsForRange(provider, contractAddress, fromBlock, toBlock) {
-    // Event signature: DepositProcessed(address,address,uint256,uint256,address)
-    const eventSignature = "DepositProcessed(address,address,uint256,uint256,address)";
-    const topic = ethers.id(eventSignature);
-    
-    try {
-        const logs = await provider.getLogs({
-            address: contractAddress,
-            fromBlock: fromBlock,
-            toBlock: toBlock,
-            topics: [topic]
-        });
-        
-        return logs;
-        
-    } catch (error) {
-        console.error(`Error fetching events for blocks ${fromBlock}-${toBlock}: ${error.message}`);
-        return [];
-    }
-}
-
-/**
- * Fetch all DepositProcessed events from the contract using chunked requests
- */
-async function getDepositProcessedEvents(provider, contractAddress, fromBlock = 0, toBlock = 'latest', chunkSize = 1000) {
-    const eventSignature = "DepositProcessed(address,address,uint256,uint256,address)";
-    const topic = ethers.id(eventSignature);
-    
-    console.log(`Searching for events with topic: ${topic}`);
-    
-    // Convert toBlock to number if it's 'latest'
-    if (toBlock === 'latest') {
-        toBlock = await provider.getBlockNumber();
-    }
-    
-    const totalBlocks = toBlock - fromBlock + 1;
-    const totalChunks = Math.ceil(totalBlocks / chunkSize);
-    
-    console.log(`Total blocks to scan: ${totalBlocks}`);
-    console.log(`Will make ${totalChunks} requests with chunk size of ${chunkSize} blocks`);
-    
-    let allEvents = [];
-    
-    for (let i = 0; i < totalChunks; i++) {
-        const chunkFromBlock = fromBlock + (i * chunkSize);
-        const chunkToBlock = Math.min(chunkFromBlock + chunkSize - 1, toBlock);
-        
-        console.log(`Fetching chunk ${i + 1}/${totalChunks}: blocks ${chunkFromBlock} to ${chunkToBlock}`);
-        
-        const chunkEvents = await getDepositProcessedEventsForRange(
-            provider, 
-            contractAddress, 
-            chunkFromBlock, 
-            chunkToBlock
-        );
-        
-        allEvents = allEvents.concat(chunkEvents);
-        console.log(`  Found ${chunkEvents.length} events in this chunk (total so far: ${allEvents.length})`);
-        
-        // Add a small delay to avoid rate limiting
-        if (i < totalChunks - 1) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-        }
-    }
-    
-    console.log(`Found ${allEvents.length} total events with topic ${topic}`);
-    return allEvents;
-}
-
-/**
- * Format events to extract only asset, user, and amount
- */
-function formatEvents(events) {
-    const formattedEvents = [];
-    
-    for (const event of events) {
-        try {
-            // DepositProcessed(address,address,uint256,uint256,address)
-            // topics[0] = event signature hash
-            // topics[1] = asset (indexed address)
-            // topics[2] = user (indexed address) 
-            // topics[3] = amount (indexed uint256)
-            // data contains: chainid (uint256), referral (address)
-            
-            const topics = event.topics;
-            
-            if (topics.length >= 4) {
-                // Extract asset and user from topics (they are indexed)
-                const asset = ethers.getAddress('0x' + topics[1].slice(-40));
-                const user = ethers.getAddress('0x' + topics[2].slice(-40));
-                
-                // Extract amount from topics[3] (it's indexed)
-                const amountHex = topics[3].slice(2); // Remove '0x' prefix
-                
-                let amount;
-                try {
-                    console.log(amountHex);
-                    amount = BigInt('0x' + amountHex);
-                } catch (error) {
-                    console.log(`Failed to parse amount hex '${amountHex}': ${error.message}`);
-                    continue;
-                }
-                
-                const formattedEvent = {
-                    asset: asset,
-                    user: user,
-                    amount: amount.toString() // Convert BigInt to string for JSON serialization
-                };
-                
-                formattedEvents.push(formattedEvent);
-            }
-                
-        } catch (error) {
-            console.error(`Error parsing event: ${error.message}`);
-            continue;
-        }
-    }
-    
-    return formattedEvents;
+export function formatEvents(records) {
+    return records
+        .filter(record => record.event === 'DepositProcessed')
+        .map(record => ({
+            asset: record.args.asset,
+            user: record.args.user,
+            amount: record.args.amount.toString(), // Convert BigInt to string for JSON serialization
+            chainId: record.args.chainId.toString(),
+            referral: record.args.referral,
+            sourceChainId: record.chainId,
+            blockNumber: record.blockNumber,
+            transactionHash: record.transactionHash,
+            logIndex: record.logIndex
+        }));
 }
 
 /**
  * Group events by user and asset, summing amounts
+ *
+ * Attributed events also collect the distinct original addresses behind each entry.
  */
-function groupEventsByUserAndAsset(events) {
+export function groupEventsByUserAndAsset(events) {
     const grouped = {};
     
     for (const event of events) {
@@ -173,13 +67,35 @@ function groupEventsByUserAndAsset(events) {
             const existingAmount = BigInt(grouped[key].amount);
             const newAmount = BigInt(event.amount);
             grouped[key].amount = (existingAmount + newAmount).toString();
+            
+            if (event.usdValue !== undefined) {
+                grouped[key].usdValue = (BigInt(grouped[key].usdValue) + BigInt(event.usdValue)).toString();
+            }
+            
+            if (event.originals !== undefined) {
+                const original = event.originals.user ?? event.user;
+                if (!grouped[key].originalUsers.includes(original)) {
+                    grouped[key].originalUsers.push(original);
+                }
+            }
         } else {
             // Create new entry
             grouped[key] = {
                 user: event.user,
                 asset: event.asset,
-                amount: event.amount
+                amount: event.amount,
+                sourceChainId: event.sourceChainId
             };
+            
+            // Priced events carry their USD value at deposit time
+            if (event.usdValue !== undefined) {
+                grouped[key].usdValue = event.usdValue;
+            }
+            
+            // Attributed events remember who the deposit was originally credited to
+            if (event.originals !== undefined) {
+                grouped[key].originalUsers = [event.originals.user ?? event.user];
+            }
         }
     }
     
@@ -192,23 +108,82 @@ function groupEventsByUserAndAsset(events) {
     });
 }
 
+/**
+ * Group events by user and asset and apply the campaign's eligibility rules as of a block
+ *
+ * Returns the eligible grouped entries plus the audit trail of excluded and capped ones.
+ */
+export function groupEligibleDeposits(events, rules, snapshotBlock, labels = null) {
+    const counted = rules.cutoffBlock === undefined
+        ? events
+        : events.filter(event => event.blockNumber <= rules.cutoffBlock);
+    const countedTotals = new Map(groupEventsByUserAndAsset(counted).map(entry => [`${entry.user}-${entry.asset}`, entry]));
+    
+    // A deposit position is held from the user's first deposit of the asset
+    const firstDeposit = new Map();
+    for (const event of events) {
+        const key = `${event.user}-${event.asset}`;
+        if (!firstDeposit.has(key) || event.blockNumber < firstDeposit.get(key)) {
+            firstDeposit.set(key, event.blockNumber);
+        }
+    }
+    
+    const positions = groupEventsByUserAndAsset(events).map(entry => {
+        const key = `${entry.user}-${entry.asset}`;
+        return {
+            ...entry,
+            amount: BigInt(entry.amount),
+            cutoffAmount: BigInt(countedTotals.get(key)?.amount ?? 0),
+            cutoffUsdValue: countedTotals.get(key)?.usdValue,
+            heldSince: firstDeposit.get(key),
+            label: labels?.[entry.user]
+        };
+    });
+    
+    const { eligible, audit } = applyEligibility(positions, rules, snapshotBlock);
+    
+    const grouped = eligible.map(position => {
+        const entry = { user: position.user, asset: position.asset, amount: position.amount.toString(), sourceChainId: position.sourceChainId };
+        if (position.usdValue !== undefined) {
+            entry.usdValue = position.usdValue;
+        }
+        if (position.label !== undefined) {
+            entry.label = position.label;
+        }
+        if (position.originalUsers !== undefined) {
+            entry.originalUsers = position.originalUsers;
+        }
+        return entry;
+    });
+    
+    return { grouped, audit };
+}
+
 /**
  * Save events to CSV file
  */
-function saveEventsToFile(events, filename = 'krates_events.csv') {
+export function saveEventsToFile(events, filename = 'krates_events.csv', tokens = {}, { sourceChain = false, chainTokens = false } = {}) {
     try {
+        // USD and original address columns are only present when those stages ran
+        const priced = events.length > 0 && events[0].usdValue !== undefined;
+        const attributed = events.length > 0 && events[0].originals !== undefined;
+        
         // Create CSV header
-        const csvHeader = 'asset,address,amount\n';
+        const csvHeader = 'asset,address,amount,chain_id,referral,block_number,transaction_hash,log_index,symbol,decimals,amount_formatted'
+            + (priced ? ',timestamp,usd_value' : '') + (attributed ? ',original_address' : '') + (sourceChain ? ',source_chain_id' : '') + '\n';
         
         // Convert events to CSV rows
         const csvRows = events.map(event => 
-            `${event.asset},${event.user},${event.amount}`
+            `${event.asset},${event.user},${event.amount},${event.chainId},${event.referral},${event.blockNumber},${event.transactionHash},${event.logIndex},${tokenColumns(tokens, chainTokens ? chainTokenKey(event.sourceChainId, event.asset) : event.asset, event.amount)}`
+            + (priced ? `,${event.timestamp},${formatUsd(event.usdValue)}` : '')
+            + (attributed ? `,${event.originals.user ?? event.user}` : '')
+            + (sourceChain ? `,${event.sourceChainId}` : '')
         ).join('\n');
         
         // Combine header and rows
         const csvContent = csvHeader + csvRows;
         
-        fs.writeFileSync(filename, csvContent);
+        writeFileAtomic(filename, csvContent);
         console.log(`Saved ${events.length} events to ${filename}`);
     } catch (error) {
         console.error(`Error saving events to file: ${error.message}`);
@@ -218,20 +193,31 @@ function saveEventsToFile(events, filename = 'krates_events.csv') {
 /**
  * Save grouped events to CSV file
  */
-function saveGroupedEventsToFile(groupedEvents, filename = 'kraters_grouped.csv') {
+export function saveGroupedEventsToFile(groupedEvents, filename = 'kraters_grouped.csv', tokens = {}, { sourceChain = false, chainTokens = false } = {}) {
     try {
+        // USD, address type and original address columns are only present when those stages ran
+        const priced = groupedEvents.length > 0 && groupedEvents[0].usdValue !== undefined;
+        const labeled = groupedEvents.length > 0 && groupedEvents[0].label !== undefined;
+        const attributed = groupedEvents.length > 0 && groupedEvents[0].originalUsers !== undefined;
+        
         // Create CSV header
-        const csvHeader = 'user,asset,total_amount\n';
+        const csvHeader = 'user,asset,total_amount,symbol,decimals,total_amount_formatted'
+            + (priced ? ',total_usd_value' : '') + (labeled ? ',address_type' : '') + (attributed ? ',original_users' : '')
+            + (sourceChain ? ',source_chain_id' : '') + '\n';
         
         // Convert grouped events to CSV rows
         const csvRows = groupedEvents.map(event => 
-            `${event.user},${event.asset},${event.amount}`
+            `${event.user},${event.asset},${event.amount},${tokenColumns(tokens, chainTokens ? chainTokenKey(event.sourceChainId, event.asset) : event.asset, event.amount)}`
+            + (priced ? `,${formatUsd(event.usdValue)}` : '')
+            + (labeled ? `,${event.label}` : '')
+            + (attributed ? `,${event.originalUsers.join('|')}` : '')
+            + (sourceChain ? `,${event.sourceChainId}` : '')
         ).join('\n');
         
         // Combine header and rows
         const csvContent = csvHeader + csvRows;
         
-        fs.writeFileSync(filename, csvContent);
+        writeFileAtomic(filename, csvContent);
         console.log(`Saved ${groupedEvents.length} grouped entries to ${filename}`);
     } catch (error) {
         console.error(`Error saving grouped events to file: ${error.message}`);
@@ -239,81 +225,256 @@ function saveGroupedEventsToFile(groupedEvents, filename = 'kraters_grouped.csv'
 }
 
 /**
- * Main function to fetch and process events
+ * Total referred volume per referrer and asset
+ *
+ * Deposits without a referral (zero address) are skipped.
  */
-async function main() {
-    try {
-        console.log(`Fetching DepositProcessed events from contract: ${CONTRACT_ADDRESS}`);
-        
-        // Get provider connection
-        const provider = await getProvider();
-        
-        // Get current block for progress tracking
-        const currentBlock = await provider.getBlockNumber();
-        console.log(`Current block: ${currentBlock}`);
+export function groupReferrals(events) {
+    const grouped = {};
+    
+    for (const event of events) {
+        if (event.referral === ethers.ZeroAddress) continue;
         
-        // Fetch events with specific block range
-        console.log("Fetching events... This may take a while for contracts with many events.");
-        const events = await getDepositProcessedEvents(
-            provider, 
-            CONTRACT_ADDRESS, 
-            22547938,  // first block with events
-            22770577 // last block with events
-        );
+        const key = `${event.referral}-${event.asset}`;
         
-        if (events.length === 0) {
-            console.log("No DepositProcessed events found.");
-            return;
+        if (!grouped[key]) {
+            grouped[key] = {
+                referrer: event.referral,
+                asset: event.asset,
+                amount: BigInt(0),
+                depositCount: 0,
+                users: new Set()
+            };
         }
         
-        console.log(`Found ${events.length} DepositProcessed events`);
+        grouped[key].amount += BigInt(event.amount);
+        grouped[key].depositCount++;
+        grouped[key].users.add(event.user);
+    }
+    
+    // Convert to array and sort by referrer, then by asset
+    return Object.values(grouped)
+        .map(entry => ({
+            referrer: entry.referrer,
+            asset: entry.asset,
+            amount: entry.amount.toString(),
+            depositCount: entry.depositCount,
+            userCount: entry.users.size
+        }))
+        .sort((a, b) => {
+            if (a.referrer !== b.referrer) {
+                return a.referrer.localeCompare(b.referrer);
+            }
+            return a.asset.localeCompare(b.asset);
+        });
+}
+
+/**
+ * Save the referral report to CSV file
+ */
+export function saveReferralsToFile(referrals, filename = 'krates_referrals.csv', tokens = {}) {
+    try {
+        const csvHeader = 'referrer,asset,referred_amount,deposit_count,referred_users,symbol,decimals,referred_amount_formatted\n';
         
-        // Format events
-        const formattedEvents = formatEvents(events);
+        const csvRows = referrals.map(entry => 
+            `${entry.referrer},${entry.asset},${entry.amount},${entry.depositCount},${entry.userCount},${tokenColumns(tokens, entry.asset, entry.amount)}`
+        ).join('\n');
         
-        // Save individual events to file
-        saveEventsToFile(formattedEvents);
+        const csvContent = csvHeader + csvRows;
         
-        // Group events by user and asset
-        const groupedEvents = groupEventsByUserAndAsset(formattedEvents);
+        writeFileAtomic(filename, csvContent);
+        console.log(`Saved ${referrals.length} referral entries to ${filename}`);
+    } catch (error) {
+        console.error(`Error saving referrals to file: ${error.message}`);
+    }
+}
+
+/**
+ * Fetch and format a campaign's DepositProcessed events, re-attributing router deposits
+ *
+ * A `toBlock` already resolved to a block number is used as is.
+ */
+export async function loadKratesEvents(provider, campaign) {
+    const { address, fromBlock } = campaign.krates;
+    const toBlock = Number.isInteger(campaign.krates.toBlock)
+        ? campaign.krates.toBlock
+        : await resolveToBlock(provider, campaign.krates.toBlock, campaign.finality);
+    
+    // Fetch events for the campaign's block range
+    console.log("Fetching events... This may take a while for contracts with many events.");
+    const events = await getDepositProcessedEvents(
+        provider, 
+        address, 
+        fromBlock,
+        toBlock,
+        { logSource: campaign.logSource }
+    );
+    
+    console.log(`Found ${events.length} DepositProcessed events`);
+    
+    const attribution = loadAttributionRules(campaign);
+    if (attribution) {
+        return attributeEvents(provider, formatEvents(events), attribution, { recipient: 'user' }, toBlock);
+    }
+    return formatEvents(events);
+}
+
+/**
+ * Fetch, format, group and save DepositProcessed events for a campaign
+ */
+export async function runKrates(campaign) {
+    if (campaign.networks) {
+        return runKratesOnNetworks(campaign);
+    }
+    
+    console.log(`Fetching DepositProcessed events from contract: ${campaign.krates.address}`);
+    
+    // Get provider connection
+    const provider = await getProvider(campaign.rpcUrls, campaign.rpcPool, campaign.chainId);
+    
+    // Resolve the snapshot block; "latest" stops at the campaign's finality
+    const snapshotBlock = await resolveToBlock(provider, campaign.krates.toBlock, campaign.finality);
+    
+    let formattedEvents = await loadKratesEvents(provider, {
+        ...campaign,
+        krates: { ...campaign.krates, toBlock: snapshotBlock }
+    });
+    const rules = loadEligibilityRules(campaign, 'krates');
+    
+    if (formattedEvents.length === 0) {
+        console.log("No DepositProcessed events found.");
+        return { events: [], grouped: [], tokens: {} };
+    }
+    
+    // Resolve symbol and decimals for every deposited asset
+    const tokens = await getTokenMetadata(provider, formattedEvents.map(event => event.asset));
+    
+    // Optional pricing stage: value each deposit in USD at the time it happened
+    if (campaign.prices) {
+        const table = loadPriceTable(campaign.prices);
+        const timestamps = await getBlockTimestamps(provider, formattedEvents.map(event => event.blockNumber));
+        formattedEvents = priceRecords(formattedEvents, { table, tokens, timestamps });
+    }
+    
+    // Optional classification stage: EOA, contract or Safe at the snapshot block
+    const labels = labelsEnabled(campaign)
+        ? await getAddressLabels(provider, formattedEvents.map(event => event.user), snapshotBlock)
+        : null;
+    
+    // Group events by user and asset, keeping eligible positions only
+    fs.mkdirSync(campaign.outputDir, { recursive: true });
+    const { grouped: groupedEvents, audit } = groupEligibleDeposits(formattedEvents, rules, snapshotBlock, labels);
+    saveAuditToFile(audit, path.join(campaign.outputDir, 'eligibility_audit_krates.csv'));
+    
+    // Users on an exclusion list are left out of every output
+    formattedEvents = formattedEvents.filter(event => !listExclusion(rules, event.user));
+    
+    // Network runs tag every row with its source chain
+    const sourceChain = campaign.network !== undefined;
+    
+    // Save individual events to file
+    saveEventsToFile(formattedEvents, path.join(campaign.outputDir, 'krates_events.csv'), tokens, { sourceChain });
+    
+    // Save grouped events to file
+    saveGroupedEventsToFile(groupedEvents, path.join(campaign.outputDir, 'kraters_grouped.csv'), tokens, { sourceChain });
+    
+    // Which senders each router's deposits were re-attributed to
+    if (formattedEvents.length > 0 && formattedEvents[0].originals !== undefined) {
+        saveAttributionMap(routerSenders(formattedEvents), path.join(campaign.outputDir, 'attribution_map_krates.csv'));
+    }
+    
+    // Total referred volume per referrer and asset
+    const referrals = groupReferrals(formattedEvents);
+    saveReferralsToFile(referrals, path.join(campaign.outputDir, 'krates_referrals.csv'), tokens);
+    
+    // Print summary
+    if (formattedEvents.length > 0) {
+        console.log("\nEvent Summary:");
+        console.log(`Total individual events: ${formattedEvents.length}`);
+        console.log(`Total unique user-asset pairs: ${groupedEvents.length}`);
+        console.log(`Total referrer-asset pairs: ${referrals.length}`);
         
-        // Save grouped events to file
-        saveGroupedEventsToFile(groupedEvents);
+        // Show first few individual events
+        console.log("\nFirst few individual events:");
+        for (let i = 0; i < Math.min(3, formattedEvents.length); i++) {
+            const event = formattedEvents[i];
+            console.log(`  Event ${i + 1}:`);
+            console.log(`    Asset: ${event.asset}`);
+            console.log(`    User: ${event.user}`);
+            console.log(`    Amount: ${event.amount}`);
+            console.log(`    Chain ID: ${event.chainId}`);
+            console.log(`    Referral: ${event.referral}`);
+            console.log(`    Tx: ${event.transactionHash} (log ${event.logIndex}, block ${event.blockNumber})`);
+            console.log();
+        }
         
-        // Print summary
-        if (formattedEvents.length > 0) {
-            console.log("\nEvent Summary:");
-            console.log(`Total individual events: ${formattedEvents.length}`);
-            console.log(`Total unique user-asset pairs: ${groupedEvents.length}`);
-            
-            // Show first few individual events
-            console.log("\nFirst few individual events:");
-            for (let i = 0; i < Math.min(3, formattedEvents.length); i++) {
-                const event = formattedEvents[i];
-                console.log(`  Event ${i + 1}:`);
-                console.log(`    Asset: ${event.asset}`);
-                console.log(`    User: ${event.user}`);
-                console.log(`    Amount: ${event.amount}`);
-                console.log();
-            }
-            
-            // Show first few grouped entries
-            console.log("\nFirst few grouped entries:");
-            for (let i = 0; i < Math.min(3, groupedEvents.length); i++) {
-                const entry = groupedEvents[i];
-                console.log(`  Entry ${i + 1}:`);
-                console.log(`    User: ${entry.user}`);
-                console.log(`    Asset: ${entry.asset}`);
-                console.log(`    Total Amount: ${entry.amount}`);
-                console.log();
-            }
+        // Show first few grouped entries
+        console.log("\nFirst few grouped entries:");
+        for (let i = 0; i < Math.min(3, groupedEvents.length); i++) {
+            const entry = groupedEvents[i];
+            console.log(`  Entry ${i + 1}:`);
+            console.log(`    User: ${entry.user}`);
+            console.log(`    Asset: ${entry.asset}`);
+            console.log(`    Total Amount: ${entry.amount}`);
+            console.log();
         }
         
+        if (campaign.prices) {
+            printUsdTotals(usdTotalsByAsset(formattedEvents), tokens);
+        }
+    }
+    
+    return { events: formattedEvents, grouped: groupedEvents, tokens };
+}
+
+/**
+ * Run krates on every network of a campaign, then save events and grouped entries across chains
+ */
+async function runKratesOnNetworks(campaign) {
+    const networks = networkCampaigns(campaign).filter(network => network.krates);
+    if (networks.length === 0) {
+        throw new ConfigError(`Campaign "${campaign.name}" has no network with a krates contract`);
+    }
+    
+    const events = [];
+    const grouped = [];
+    const tokens = {};
+    
+    for (const network of networks) {
+        console.log(`\n=== Network ${network.network}: ${chainName(network.chainId)} ===`);
+        const result = await runKrates(network);
+        events.push(...result.events);
+        grouped.push(...result.grouped);
+        // The same address may be a different token on another chain
+        for (const [address, token] of Object.entries(result.tokens)) {
+            tokens[chainTokenKey(network.chainId, address)] = token;
+        }
+    }
+    
+    // Same order as a single-chain file, with a user's entries on different chains side by side
+    grouped.sort((a, b) => a.user.localeCompare(b.user) || a.asset.localeCompare(b.asset) || a.sourceChainId - b.sourceChainId);
+    
+    console.log(`\n=== Combined across networks ${networks.map(network => network.network).join(', ')} ===`);
+    fs.mkdirSync(campaign.outputDir, { recursive: true });
+    saveEventsToFile(events, path.join(campaign.outputDir, 'krates_events.csv'), tokens, { sourceChain: true, chainTokens: true });
+    saveGroupedEventsToFile(grouped, path.join(campaign.outputDir, 'kraters_grouped.csv'), tokens, { sourceChain: true, chainTokens: true });
+    
+    return { events, grouped, tokens };
+}
+
+/**
+ * Main function: run the default campaign from campaigns.json
+ */
+async function main() {
+    try {
+        await runKrates(resolveCampaign(loadConfig()));
     } catch (error) {
         console.error(`Error in main function: ${error.message}`);
         process.exit(1);
     }
 }
 
-// Run the script
-main(); 
\ No newline at end of file
+// Run the script when executed directly (the CLI imports it instead)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
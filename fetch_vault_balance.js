@@ -7,308 +7,287 @@
  * - Withdraw events: When users redeem vault shares for underlying assets
  * - Share Transfer events: When vault shares are transferred between addresses
  * 
- * The script calculates the running balance of underlying assets in the vault,
- * which increases on deposits and decreases on withdrawals.
+ * Per-user balances come from a share ledger, valued at the snapshot block's share price.
  */
 
 import { ethers } from 'ethers';
 import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ConfigError, loadConfig, networkCampaigns, resolveCampaign } from './lib/config.js';
+import { defineEventSource, loadEventSource } from './lib/event_source.js';
+import { resolveToBlock } from './lib/finality.js';
+import { chainName, getProvider } from './lib/provider.js';
+import { getBlockTimestamps } from './lib/block_times.js';
+import { findPrice, formatUsd, loadPriceTable, printUsdTotals, usdValue } from './lib/pricing.js';
+import { chainTokenKey, getTokenMetadata, getVaultAsset, tokenColumns } from './lib/token_metadata.js';
+import { getAddressLabels, labelsEnabled } from './lib/address_labels.js';
+import { attributeEvents, loadAttributionRules, routerSenders, saveAttributionMap } from './lib/attribution.js';
+import { applyEligibility, loadEligibilityRules, saveAuditToFile } from './lib/eligibility.js';
+import { writeFileAtomic } from './lib/csv.js';
 
-// Ethereum mainnet RPC endpoints
-const RPC_ENDPOINTS = [
-    "https://eth.llamarpc.com",  // Free public RPC
+// ERC-4626 vault events; the vault's own share token emits the ERC-20 Transfer
+export const VAULT_EVENTS = [
+    'Transfer(address indexed from, address indexed to, uint256 value)',
+    'Deposit(address indexed caller, address indexed owner, uint256 assets, uint256 shares)',
+    'Withdraw(address indexed caller, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)'
 ];
 
 /**
- * Get a provider connection to Ethereum mainnet
+ * Fetch and decode all vault events, scanning only blocks missing from the log cache
  */
-async function getProvider() {
-    for (const endpoint of RPC_ENDPOINTS) {
-        try {
-            const provider = new ethers.JsonRpcProvider(endpoint);
-            // Test the connection
-            await provider.getBlockNumber();
-            console.log(`Connected to Ethereum mainnet via ${endpoint}`);
-            return provider;
-        } catch (error) {
-            console.log(`Failed to connect to ${endpoint}: ${error.message}`);
-            continue;
-        }
-    }
-    
-    throw new Error("Failed to connect to any Ethereum RPC endpoint");
-}
-
-/**
- * Fetch events from the vault for a specific block range
- */
-async function getVaultEventsForRange(provider, vaultAddress, fromBlock, toBlock) {
-    // ERC-4626 vault event signatures
-    const eventSignatures = {
-        'Transfer': 'Transfer(address,address,uint256)',
-        'Deposit': 'Deposit(address,address,uint256,uint256)', // ERC-4626: caller, owner, assets, shares
-        'Withdraw': 'Withdraw(address,address,address,uint256,uint256)' // ERC-4626: caller, receiver, owner, assets, shares
-    };
-    
-    const topics = Object.values(eventSignatures).map(sig => ethers.id(sig));
-    
-    try {
-        const logs = await provider.getLogs({
-            address: vaultAddress,
-            fromBlock: fromBlock,
-            toBlock: toBlock,
-            topics: [topics] // OR condition for any of these events
-        });
-        
-        return logs;
-        
-    } catch (error) {
-        console.error(`Error fetching events for blocks ${fromBlock}-${toBlock}: ${error.message}`);
-        return [];
-    }
+export async function getVaultEvents(provider, vaultAddress, fromBlock = 0, toBlock = 'latest', scanOptions = {}) {
+    const source = defineEventSource({ name: 'vault', address: vaultAddress, events: VAULT_EVENTS });
+    return loadEventSource(provider, source, fromBlock, toBlock, scanOptions);
 }
 
 /**
- * Fetch all vault events using chunked requests
+ * Flatten decoded vault records into balance changes
  */
-async function getVaultEvents(provider, vaultAddress, fromBlock = 0, toBlock = 'latest', chunkSize = 1000) {
-    console.log(`Searching for vault events from ${vaultAddress}`);
-    
-    // Convert toBlock to number if it's 'latest'
-    if (toBlock === 'latest') {
-        toBlock = await provider.getBlockNumber();
-    }
-    
-    const totalBlocks = toBlock - fromBlock + 1;
-    const totalChunks = Math.ceil(totalBlocks / chunkSize);
-    
-    console.log(`Total blocks to scan: ${totalBlocks}`);
-    console.log(`Will make ${totalChunks} requests with chunk size of ${chunkSize} blocks`);
-    
-    let allEvents = [];
+export function formatEvents(records) {
+    const formattedEvents = [];
     
-    for (let i = 0; i < totalChunks; i++) {
-        const chunkFromBlock = fromBlock + (i * chunkSize);
-        const chunkToBlock = Math.min(chunkFromBlock + chunkSize - 1, toBlock);
+    for (const record of records) {
+        const { args } = record;
         
-        console.log(`Fetching chunk ${i + 1}/${totalChunks}: blocks ${chunkFromBlock} to ${chunkToBlock}`);
+        let formattedEvent = {
+            sourceChainId: record.chainId,
+            blockNumber: record.blockNumber,
+            transactionHash: record.transactionHash,
+            logIndex: record.logIndex,
+            eventType: record.event,
+            caller: '',
+            owner: '',
+            receiver: '',
+            assets: '0',
+            shares: '0',
+            balanceChange: '0' // positive for deposits, negative for withdrawals
+        };
         
-        const chunkEvents = await getVaultEventsForRange(
-            provider, 
-            vaultAddress, 
-            chunkFromBlock, 
-            chunkToBlock
-        );
+        if (record.event === 'Transfer') {
+            // This is a share transfer, not an asset balance change
+            // We'll track it but it doesn't affect underlying asset balance
+            formattedEvent.eventType = 'ShareTransfer';
+            formattedEvent.caller = args.from;
+            formattedEvent.receiver = args.to;
+            formattedEvent.shares = args.value.toString();
         
-        allEvents = allEvents.concat(chunkEvents);
-        console.log(`  Found ${chunkEvents.length} events in this chunk (total so far: ${allEvents.length})`);
+        } else if (record.event === 'Deposit') {
+            formattedEvent.caller = args.caller;
+            formattedEvent.owner = args.owner;
+            formattedEvent.receiver = args.owner; // In deposits, owner receives the shares
+            formattedEvent.assets = args.assets.toString();
+            formattedEvent.shares = args.shares.toString();
+            formattedEvent.balanceChange = args.assets.toString(); // Assets increase vault balance
         
-        // Add a small delay to avoid rate limiting
-        if (i < totalChunks - 1) {
-            await new Promise(resolve => setTimeout(resolve, 100));
+        } else if (record.event === 'Withdraw') {
+            formattedEvent.caller = args.caller;
+            formattedEvent.owner = args.owner;
+            formattedEvent.receiver = args.receiver;
+            formattedEvent.assets = args.assets.toString();
+            formattedEvent.shares = args.shares.toString();
+            formattedEvent.balanceChange = (-args.assets).toString(); // Assets decrease vault balance
         }
+        
+        formattedEvents.push(formattedEvent);
     }
     
-    console.log(`Found ${allEvents.length} total vault events`);
-    return allEvents;
+    // Records arrive in block and log order
+    return formattedEvents;
 }
 
 /**
- * Format events to extract balance changes
+ * Build a share ledger per holder from ShareTransfer events.
+ *
+ * Mints and burns are Transfers too, so Deposit/Withdraw events are not applied here.
+ * Shares a router sends on or burns are debited from the holders it received them for.
  */
-function formatEvents(events) {
-    const formattedEvents = [];
-    const eventSignatures = {
-        [ethers.id('Transfer(address,address,uint256)')]: 'Transfer',
-        [ethers.id('Deposit(address,address,uint256,uint256)')]: 'Deposit', // ERC-4626
-        [ethers.id('Withdraw(address,address,address,uint256,uint256)')]: 'Withdraw' // ERC-4626
+export function buildShareLedger(events) {
+    const balances = new Map();
+    const heldSince = new Map();
+    const originals = new Map();
+    const routed = new Map(); // router -> Map(holder -> shares it received for them)
+    let totalMinted = BigInt(0);
+    let totalBurned = BigInt(0);
+    
+    // Who pays for shares leaving `from`: the holders a router received them for, the recipient first, then the router itself
+    const debits = (from, to, shares) => {
+        const held = routed.get(from);
+        if (!held) return [[from, shares]];
+        
+        const result = [];
+        let remaining = shares;
+        for (const holder of [to, ...held.keys()]) {
+            const available = held.get(holder) || BigInt(0);
+            if (available === BigInt(0) || remaining === BigInt(0)) continue;
+            
+            const amount = available < remaining ? available : remaining;
+            held.set(holder, available - amount);
+            result.push([holder, amount]);
+            remaining -= amount;
+        }
+        if (remaining > BigInt(0)) result.push([from, remaining]);
+        return result;
     };
     
     for (const event of events) {
-        try {
-            const eventType = eventSignatures[event.topics[0]];
-            if (!eventType) continue;
-            
-            let formattedEvent = {
-                blockNumber: event.blockNumber,
-                transactionHash: event.transactionHash,
-                eventType: eventType,
-                caller: '',
-                owner: '',
-                receiver: '',
-                assets: '0',
-                shares: '0',
-                balanceChange: '0' // positive for deposits, negative for withdrawals
-            };
+        if (event.eventType !== 'ShareTransfer') continue;
+        
+        const from = event.caller;
+        const to = event.receiver;
+        const shares = BigInt(event.shares);
+        
+        if (from === ethers.ZeroAddress) {
+            totalMinted += shares;
+        } else {
+            for (const [holder, amount] of debits(from, to, shares)) {
+                const balance = (balances.get(holder) || BigInt(0)) - amount;
+                balances.set(holder, balance);
+                if (balance <= BigInt(0)) heldSince.delete(holder);
+            }
+        }
+        
+        if (to === ethers.ZeroAddress) {
+            totalBurned += shares;
+        } else {
+            const previous = balances.get(to) || BigInt(0);
+            balances.set(to, previous + shares);
+            if (previous <= BigInt(0) && previous + shares > BigInt(0)) heldSince.set(to, event.blockNumber);
             
-            if (eventType === 'Transfer') {
-                // Transfer(address from, address to, uint256 value) - ERC-20 shares transfer
-                const from = ethers.getAddress('0x' + event.topics[1].slice(-40));
-                const to = ethers.getAddress('0x' + event.topics[2].slice(-40));
-                const shares = BigInt(event.data);
-                
-                // This is a share transfer, not an asset balance change
-                // We'll track it but it doesn't affect underlying asset balance
-                formattedEvent.eventType = 'ShareTransfer';
-                formattedEvent.caller = from;
-                formattedEvent.receiver = to;
-                formattedEvent.shares = shares.toString();
-                formattedEvent.balanceChange = '0'; // Share transfers don't change asset balance
-                
-            } else if (eventType === 'Deposit') {
-                // Deposit(address indexed caller, address indexed owner, uint256 assets, uint256 shares)
-                const caller = ethers.getAddress('0x' + event.topics[1].slice(-40));
-                const owner = ethers.getAddress('0x' + event.topics[2].slice(-40));
-                
-                // Parse data for assets and shares (both uint256)
-                const dataHex = event.data.slice(2); // Remove '0x'
-                const assets = BigInt('0x' + dataHex.slice(0, 64));
-                const shares = BigInt('0x' + dataHex.slice(64, 128));
-                
-                formattedEvent.caller = caller;
-                formattedEvent.owner = owner;
-                formattedEvent.receiver = owner; // In deposits, owner receives the shares
-                formattedEvent.assets = assets.toString();
-                formattedEvent.shares = shares.toString();
-                formattedEvent.balanceChange = assets.toString(); // Assets increase vault balance
-                
-            } else if (eventType === 'Withdraw') {
-                // Withdraw(address indexed caller, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)
-                const caller = ethers.getAddress('0x' + event.topics[1].slice(-40));
-                const receiver = ethers.getAddress('0x' + event.topics[2].slice(-40));
-                const owner = ethers.getAddress('0x' + event.topics[3].slice(-40));
-                
-                // Parse data for assets and shares (both uint256)
-                const dataHex = event.data.slice(2); // Remove '0x'
-                const assets = BigInt('0x' + dataHex.slice(0, 64));
-                const shares = BigInt('0x' + dataHex.slice(64, 128));
-                
-                formattedEvent.caller = caller;
-                formattedEvent.owner = owner;
-                formattedEvent.receiver = receiver;
-                formattedEvent.assets = assets.toString();
-                formattedEvent.shares = shares.toString();
-                formattedEvent.balanceChange = (-assets).toString(); // Assets decrease vault balance
+            if (event.originals !== undefined) {
+                if (!originals.has(to)) originals.set(to, new Set());
+                originals.get(to).add(event.originals.receiver ?? to);
             }
             
-            // Only include events that have meaningful data
-            if (formattedEvent.caller || formattedEvent.owner || formattedEvent.receiver) {
-                formattedEvents.push(formattedEvent);
+            const router = event.originals?.receiver;
+            if (router !== undefined) {
+                if (!routed.has(router)) routed.set(router, new Map());
+                routed.get(router).set(to, (routed.get(router).get(to) || BigInt(0)) + shares);
             }
-                
-        } catch (error) {
-            console.error(`Error parsing event: ${error.message}`);
-            console.error(`Event data: ${JSON.stringify(event)}`);
-            continue;
         }
     }
     
-    // Sort by block number for chronological order
-    return formattedEvents.sort((a, b) => a.blockNumber - b.blockNumber);
+    // A negative position means the scanned range misses part of the holder's history
+    for (const [holder, shares] of balances) {
+        if (shares < BigInt(0)) {
+            console.warn(`Warning: negative share balance ${shares} for ${holder}; scan range may start after the vault's first transfer`);
+        }
+    }
+    
+    return { balances, heldSince, originals, totalMinted, totalBurned };
 }
 
 /**
- * Calculate running balance from events
+ * Read the vault's share price at a given block via convertToAssets(totalSupply), or totalAssets()
  */
-function calculateRunningBalance(events) {
-    let runningBalance = BigInt(0);
-    const balanceHistory = [];
+export async function getSharePrice(provider, vaultAddress, blockTag) {
+    const vault = new ethers.Contract(vaultAddress, [
+        'function totalSupply() view returns (uint256)',
+        'function totalAssets() view returns (uint256)',
+        'function convertToAssets(uint256 shares) view returns (uint256)'
+    ], provider);
     
-    for (const event of events) {
-        const balanceChange = BigInt(event.balanceChange);
-        runningBalance += balanceChange;
-        
-        balanceHistory.push({
-            ...event,
-            runningBalance: runningBalance.toString()
-        });
+    const totalSupply = await vault.totalSupply({ blockTag });
+    
+    let totalAssets;
+    try {
+        totalAssets = await vault.convertToAssets(totalSupply, { blockTag });
+    } catch (error) {
+        console.log(`convertToAssets failed (${error.message}), using totalAssets()`);
+        totalAssets = await vault.totalAssets({ blockTag });
     }
     
-    return balanceHistory;
+    return { totalSupply, totalAssets };
 }
 
 /**
- * Save user balances to CSV file
+ * Convert a share amount to underlying assets using a share price from getSharePrice
  */
-function saveUserBalances(events, vaultAddress) {
-    try {
-        const userBalances = {};
-        const EXCLUDED_USER = "0x836304B832687f3811a0dF935934C724B40578eB";
-        
-        // Group events by user and calculate totals
-        for (const event of events) {
-            // Skip share transfers as they don't affect user's deposit/withdrawal balance
-            if (event.eventType === 'ShareTransfer') continue;
-            
-            const userAddress = event.owner; // Use owner as the user address
-            if (!userAddress) continue;
-            
-            // Skip events from excluded user
-            if (userAddress.toLowerCase() === EXCLUDED_USER.toLowerCase()) continue;
+export function sharesToAssets(shares, sharePrice) {
+    if (sharePrice.totalSupply === BigInt(0)) return BigInt(0);
+    return shares * sharePrice.totalAssets / sharePrice.totalSupply;
+}
+
+/**
+ * Value every non-empty position in a share ledger, with the part still held since `cutoffLedger`
+ */
+export function ledgerPositions(ledger, sharePrice, cutoffLedger = null) {
+    return [...ledger.balances.entries()]
+        .filter(([user, shares]) => shares > BigInt(0))
+        .map(([user, shares]) => {
+            const position = {
+                user,
+                shares,
+                amount: sharesToAssets(shares, sharePrice),
+                heldSince: ledger.heldSince.get(user)
+            };
             
-            if (!userBalances[userAddress]) {
-                userBalances[userAddress] = {
-                    user_address: userAddress,
-                    total_deposited: BigInt(0),
-                    total_withdrawn: BigInt(0)
-                };
+            if (ledger.originals.size > 0) {
+                position.originalOwners = [...(ledger.originals.get(user) || [user])];
             }
             
-            const assets = BigInt(event.assets || '0');
-            
-            if (event.eventType === 'Deposit') {
-                userBalances[userAddress].total_deposited += assets;
-            } else if (event.eventType === 'Withdraw') {
-                userBalances[userAddress].total_withdrawn += assets;
+            if (cutoffLedger) {
+                const cutoffShares = cutoffLedger.balances.get(user) || BigInt(0);
+                const counted = cutoffShares < shares ? cutoffShares : shares;
+                position.cutoffAmount = counted > BigInt(0) ? sharesToAssets(counted, sharePrice) : BigInt(0);
             }
+            
+            return position;
+        });
+}
+
+/**
+ * Save user balances to CSV file
+ */
+export function saveUserBalances(holders, sharePrice, vaultAddress, snapshotBlock, { outputDir = '.', asset = '', tokens = {}, usdPrice = null, labeled = false, attributed = false, chainId = null, fileSuffix = snapshotBlock } = {}) {
+    try {
+        // Optional pricing stage: value positions in USD at the snapshot block
+        if (usdPrice !== null) {
+            holders.forEach(holder => {
+                holder.usdValue = usdValue(holder.amount, tokens[asset].decimals, usdPrice);
+            });
         }
         
-        // Create unique filename for this vault
+        // Create unique filename for this vault and snapshot block
         const shortAddress = vaultAddress.slice(0, 8); // First 8 characters including 0x
-        const filename = `vault_user_balances_${shortAddress}.csv`;
+        const filename = path.join(outputDir, `vault_user_balances_${shortAddress}-${fileSuffix}.csv`);
         
-        // Calculate net balance and filter out users with zero net balance
-        const csvHeader = 'vault,user,amount\n';
-        const csvRows = Object.values(userBalances)
-            .map(user => {
-                const netBalance = user.total_deposited - user.total_withdrawn;
-                return {
-                    ...user,
-                    netBalance
-                };
-            })
-            .filter(user => user.netBalance !== BigInt(0)) // Filter out zero net balance
-            .map(user => `${vaultAddress},${user.user_address},${user.netBalance.toString()}`)
+        const csvHeader = 'vault,user,amount,shares,asset,symbol,decimals,amount_formatted'
+            + (usdPrice !== null ? ',usd_value' : '') + (labeled ? ',address_type' : '') + (attributed ? ',original_owners' : '')
+            + (chainId !== null ? ',source_chain_id' : '') + '\n';
+        const csvRows = holders
+            .map(holder => `${vaultAddress},${holder.user},${holder.amount.toString()},${holder.shares.toString()},${asset},${tokenColumns(tokens, asset, holder.amount)}`
+                + (usdPrice !== null ? `,${formatUsd(holder.usdValue)}` : '')
+                + (labeled ? `,${holder.label}` : '')
+                + (attributed ? `,${(holder.originalOwners || [holder.user]).join('|')}` : '')
+                + (chainId !== null ? `,${chainId}` : ''))
             .join('\n');
         
         const csvContent = csvHeader + csvRows;
         
-        fs.writeFileSync(filename, csvContent);
+        writeFileAtomic(filename, csvContent);
         console.log(`Saved user balances to ${filename}`);
-        
-        // Count users with non-zero net balance
-        const usersWithBalance = Object.values(userBalances).filter(user => {
-            const netBalance = user.total_deposited - user.total_withdrawn;
-            return netBalance !== BigInt(0);
-        }).length;
-        
-        console.log(`Total unique users with non-zero balance: ${usersWithBalance}`);
+        console.log(`Total unique users with non-zero balance: ${holders.length}`);
         
         // Calculate totals for summary
-        let totalDeposits = BigInt(0);
-        let totalWithdrawals = BigInt(0);
-        Object.values(userBalances).forEach(user => {
-            totalDeposits += user.total_deposited;
-            totalWithdrawals += user.total_withdrawn;
+        let totalShares = BigInt(0);
+        let totalAssets = BigInt(0);
+        let totalUsd = BigInt(0);
+        holders.forEach(holder => {
+            totalShares += holder.shares;
+            totalAssets += holder.amount;
+            totalUsd += holder.usdValue || BigInt(0);
         });
         
         return { 
-            userCount: usersWithBalance,
-            totalDeposits: totalDeposits.toString(),
-            totalWithdrawals: totalWithdrawals.toString(),
-            netBalance: (totalDeposits - totalWithdrawals).toString()
+            userCount: holders.length,
+            totalShares: totalShares.toString(),
+            totalAssets: totalAssets.toString(),
+            totalUsd,
+            vaultTotalSupply: sharePrice.totalSupply.toString(),
+            vaultTotalAssets: sharePrice.totalAssets.toString()
         };
-        
+    
     } catch (error) {
         console.error(`Error saving user balances: ${error.message}`);
         return null;
@@ -316,77 +295,277 @@ function saveUserBalances(events, vaultAddress) {
 }
 
 /**
- * Main function to fetch and process vault events
+ * Save the holders of every vault across networks to one CSV file
  */
-async function main() {
-    const VAULTS = [
-        "0x7B5A0182E400b241b317e781a4e9dEdFc1429822",
-        "0x48c03B6FfD0008460F8657Db1037C7e09dEedfcb",
-        "0x92C82f5F771F6A44CfA09357DD0575B81BF5F728",
-        "0xcc6a16Be713f6a714f68b0E1f4914fD3db15fBeF"
-    ];
+export function saveCombinedVaultBalances(rows, filename = 'vault_user_balances_combined.csv', tokens = {}) {
+    try {
+        const priced = rows.some(row => row.usdValue !== undefined);
+        const labeled = rows.some(row => row.label !== undefined);
+        const attributed = rows.some(row => row.originalOwners !== undefined);
+        
+        const csvHeader = 'source_chain_id,snapshot_block,vault,user,amount,shares,asset,symbol,decimals,amount_formatted'
+            + (priced ? ',usd_value' : '') + (labeled ? ',address_type' : '') + (attributed ? ',original_owners' : '') + '\n';
+        const csvRows = rows
+            .map(row => `${row.chainId},${row.snapshotBlock},${row.vault},${row.user},${row.amount.toString()},${row.shares.toString()},${row.asset},${tokenColumns(tokens, chainTokenKey(row.chainId, row.asset), row.amount)}`
+                + (priced ? `,${row.usdValue !== undefined ? formatUsd(row.usdValue) : ''}` : '')
+                + (labeled ? `,${row.label}` : '')
+                + (attributed ? `,${(row.originalOwners || [row.user]).join('|')}` : ''))
+            .join('\n');
+        
+        writeFileAtomic(filename, csvHeader + csvRows);
+        console.log(`Saved ${rows.length} vault balances to ${filename}`);
+    } catch (error) {
+        console.error(`Error saving combined vault balances: ${error.message}`);
+    }
+}
+
+/**
+ * Fetch and format a vault's events up to the snapshot block, in block and log order
+ */
+export async function loadVaultEvents(provider, vaultAddress, fromBlock, snapshotBlock, attribution = null, logSource = undefined) {
+    console.log(`Fetching events for vault ${vaultAddress}... This may take a while.`);
+    const events = await getVaultEvents(
+        provider, 
+        vaultAddress, 
+        fromBlock, 
+        snapshotBlock,
+        { logSource }
+    );
+    
+    console.log(`Found ${events.length} events for vault ${vaultAddress}`);
+    
+    if (attribution) {
+        // Withdrawals pay assets out, so only transfers and deposits have a share recipient
+        return attributeEvents(provider, formatEvents(events), attribution, {
+            recipient: 'receiver',
+            linked: ['owner', 'caller'],
+            eventTypes: ['ShareTransfer', 'Deposit']
+        }, snapshotBlock);
+    }
+    return formatEvents(events);
+}
 
-    for (let VAULT_ADDRESS of VAULTS) {
+/**
+ * Build the share ledger as of a snapshot block and save the vault's eligible user balances
+ *
+ * Throws when attribution changed the total held, since it may only move shares between holders.
+ */
+export async function saveVaultSnapshot(provider, campaign, vaultAddress, formattedEvents, snapshotBlock, { priceTable = null, fileSuffix = snapshotBlock } = {}) {
+    const ledger = buildShareLedger(formattedEvents.filter(event => event.blockNumber <= snapshotBlock));
+    const sharePrice = await getSharePrice(provider, vaultAddress, snapshotBlock);
+    
+    const attributed = formattedEvents.length > 0 && formattedEvents[0].originals !== undefined;
+    if (attributed) {
+        const unattributed = buildShareLedger(formattedEvents
+            .filter(event => event.blockNumber <= snapshotBlock)
+            .map(({ originals, ...event }) => ({ ...event, ...originals })));
+        const held = shareLedger => [...shareLedger.balances.values()].filter(shares => shares > BigInt(0)).reduce((sum, shares) => sum + shares, BigInt(0));
+        if (held(ledger) !== held(unattributed)) {
+            throw new Error(`Attributed holders of ${vaultAddress} hold ${held(ledger)} shares, unattributed holders ${held(unattributed)}`);
+        }
+    }
+    
+    // Resolve the vault's underlying asset for human-readable amounts
+    const asset = await getVaultAsset(provider, vaultAddress);
+    const tokens = await getTokenMetadata(provider, [asset]);
+    
+    // Shares acquired after the cutoff block do not count towards eligibility
+    const rules = loadEligibilityRules(campaign, 'vaults');
+    const cutoffLedger = rules.cutoffBlock !== undefined && rules.cutoffBlock < snapshotBlock
+        ? buildShareLedger(formattedEvents.filter(event => event.blockNumber <= rules.cutoffBlock))
+        : null;
+    const positions = ledgerPositions(ledger, sharePrice, cutoffLedger).map(position => ({ ...position, asset }));
+    
+    // Optional classification stage: EOA, contract or Safe at the snapshot block
+    const labeled = labelsEnabled(campaign);
+    if (labeled) {
+        const labels = await getAddressLabels(provider, positions.map(position => position.user), snapshotBlock);
+        positions.forEach(position => {
+            position.label = labels[ethers.getAddress(position.user)];
+        });
+    }
+    
+    const { eligible, audit } = applyEligibility(positions, rules, snapshotBlock);
+    
+    let usdPrice = null;
+    if (priceTable) {
+        const timestamps = await getBlockTimestamps(provider, [snapshotBlock]);
+        usdPrice = findPrice(priceTable, asset, snapshotBlock, timestamps[snapshotBlock]);
+    }
+    
+    // Save user balances to CSV
+    const summary = saveUserBalances(eligible, sharePrice, vaultAddress, snapshotBlock, {
+        outputDir: campaign.outputDir,
+        asset,
+        tokens,
+        usdPrice,
+        labeled,
+        attributed,
+        // Network runs tag every row with its source chain
+        chainId: campaign.network !== undefined ? campaign.chainId : null,
+        fileSuffix
+    });
+    
+    return { summary, asset, tokens, usdPrice, positions: eligible, audit: audit.map(entry => ({ ...entry, source: `vault:${vaultAddress}` })) };
+}
+
+/**
+ * Fetch vault events and save per-holder balances for every vault in a campaign
+ */
+export async function runVaults(campaign) {
+    if (campaign.networks) {
+        return runVaultsOnNetworks(campaign);
+    }
+    
+    const { addresses, fromBlock, toBlock = 'latest' } = campaign.vaults;
+    
+    fs.mkdirSync(campaign.outputDir, { recursive: true });
+    
+    // Optional pricing stage, with USD totals per underlying asset across vaults
+    const priceTable = campaign.prices ? loadPriceTable(campaign.prices) : null;
+    const usdTotals = {};
+    const allTokens = {};
+    const eligibilityAudit = [];
+    const balances = [];
+    const attribution = loadAttributionRules(campaign);
+    const attributedEvents = [];
+    
+    // One provider connection (an RPC pool) serves every vault
+    const provider = await getProvider(campaign.rpcUrls, campaign.rpcPool, campaign.chainId);
+    
+    // Resolve the snapshot block once so every vault is read at the same block;
+    // "latest" stops at the campaign's finality
+    const snapshotBlock = await resolveToBlock(provider, toBlock, campaign.finality);
+    
+    // Fetch every vault's events at once; the pool caps the requests in flight
+    console.log(`\nFetching events for ${addresses.length} vault(s) up to block ${snapshotBlock}`);
+    const fetched = await Promise.allSettled(addresses.map(vaultAddress =>
+        loadVaultEvents(provider, vaultAddress, fromBlock, snapshotBlock, attribution, campaign.logSource)
+    ));
+    
+    for (const [i, VAULT_ADDRESS] of addresses.entries()) {
         try {
             console.log(`\n=== Tracking balance changes for vault: ${VAULT_ADDRESS} ===`);
             
-            // Get provider connection
-            const provider = await getProvider();
-            
-            // Get current block for progress tracking
-            const currentBlock = await provider.getBlockNumber();
-            console.log(`Current block: ${currentBlock}`);
-            
-            // Determine block range (you may need to adjust these)
-            const fromBlock = 22547938; // first deposit from krates
-            const toBlock = currentBlock;
-            
-            // Fetch events
-            console.log("Fetching vault events... This may take a while.");
-            const events = await getVaultEvents(
-                provider, 
-                VAULT_ADDRESS, 
-                fromBlock, 
-                toBlock
-            );
+            if (fetched[i].status === 'rejected') {
+                throw fetched[i].reason;
+            }
+            const formattedEvents = fetched[i].value;
+            if (attribution) attributedEvents.push(...formattedEvents);
             
-            if (events.length === 0) {
+            if (formattedEvents.length === 0) {
                 console.log("No vault events found.");
-                return;
+                continue;
             }
             
-            console.log(`Found ${events.length} vault events`);
-            
-            // Format events
-            const formattedEvents = formatEvents(events);
+            // Build per-holder share positions, value them at the snapshot block and save them
+            const { summary, asset, tokens, usdPrice, positions, audit } = await saveVaultSnapshot(
+                provider, campaign, VAULT_ADDRESS, formattedEvents, snapshotBlock, { priceTable }
+            );
+            Object.assign(allTokens, tokens);
+            balances.push({ vault: VAULT_ADDRESS, chainId: campaign.chainId, snapshotBlock, asset, tokens, positions });
+            eligibilityAudit.push(...audit);
             
-            // Calculate running balance
-            const balanceHistory = calculateRunningBalance(formattedEvents);
+            // saveUserBalances reports its own error; the vault still counts as failed
+            if (!summary) {
+                process.exitCode = 1;
+            }
             
-            // Save user balances to CSV
-            const summary = saveUserBalances(formattedEvents, VAULT_ADDRESS);
+            if (summary && usdPrice !== null) {
+                usdTotals[asset] = (usdTotals[asset] || BigInt(0)) + summary.totalUsd;
+            }
             
             // Print summary
             if (formattedEvents.length > 0 && summary) {
                 console.log("\nVault User Balance Summary:");
                 console.log(`Total events processed: ${formattedEvents.length}`);
                 console.log(`Total unique users: ${summary.userCount}`);
-                console.log(`Total deposits: ${summary.totalDeposits} underlying assets`);
-                console.log(`Total withdrawals: ${summary.totalWithdrawals} underlying assets`);
-                console.log(`Net vault balance: ${summary.netBalance} underlying assets`);
+                console.log(`Total shares held: ${summary.totalShares} (vault totalSupply: ${summary.vaultTotalSupply})`);
+                console.log(`Total holder assets: ${summary.totalAssets} underlying assets (vault total: ${summary.vaultTotalAssets})`);
+                if (usdPrice !== null) {
+                    console.log(`Total holder value: $${formatUsd(summary.totalUsd)}`);
+                }
             } else {
                 console.log("\nNo deposit/withdrawal events found.");
                 console.log("No user balances to report.");
             }
-            
+        
         } catch (error) {
             console.error(`Error processing vault ${VAULT_ADDRESS}: ${error.message}`);
+            // No CSV was written for this vault; make sure the run is not mistaken for a success
+            process.exitCode = 1;
             console.log(`Continuing with next vault...\n`);
         }
     }
     
+    if (priceTable) {
+        printUsdTotals(usdTotals, allTokens);
+    }
+    
+    // Which senders each router's shares were re-attributed to, across all vaults
+    if (attribution) {
+        saveAttributionMap(routerSenders(attributedEvents), path.join(campaign.outputDir, 'attribution_map_vaults.csv'));
+    }
+    
+    // Every holder dropped or capped by an eligibility rule, across all vaults
+    saveAuditToFile(eligibilityAudit, path.join(campaign.outputDir, 'eligibility_audit_vaults.csv'));
+    
     console.log("=== Finished processing all vaults ===");
+    
+    return { snapshotBlock, vaults: balances };
+}
+
+/**
+ * Run vaults on every network of a campaign, then save all holders across chains
+ */
+async function runVaultsOnNetworks(campaign) {
+    const networks = networkCampaigns(campaign).filter(network => network.vaults);
+    if (networks.length === 0) {
+        throw new ConfigError(`Campaign "${campaign.name}" has no network with vaults`);
+    }
+    
+    const rows = [];
+    const tokens = {};
+    const results = {};
+    
+    for (const network of networks) {
+        console.log(`\n=== Network ${network.network}: ${chainName(network.chainId)} ===`);
+        const result = await runVaults(network);
+        const { snapshotBlock, vaults } = result;
+        results[network.network] = result;
+        
+        for (const { vault, asset, tokens: vaultTokens, positions } of vaults) {
+            for (const [address, token] of Object.entries(vaultTokens)) {
+                tokens[chainTokenKey(network.chainId, address)] = token;
+            }
+            rows.push(...positions.map(position => ({ ...position, chainId: network.chainId, snapshotBlock, vault, asset })));
+        }
+    }
+    
+    console.log(`\n=== Combined across networks ${networks.map(network => network.network).join(', ')} ===`);
+    fs.mkdirSync(campaign.outputDir, { recursive: true });
+    saveCombinedVaultBalances(rows, path.join(campaign.outputDir, 'vault_user_balances_combined.csv'), tokens);
+    
+    return {
+        snapshotBlock: null,
+        vaults: Object.values(results).flatMap(result => result.vaults),
+        networks: results
+    };
 }
 
-// Run the script
-main(); 
\ No newline at end of file
+/**
+ * Main function: run the default campaign from campaigns.json
+ */
+async function main() {
+    try {
+        await runVaults(resolveCampaign(loadConfig()));
+    } catch (error) {
+        console.error(`Error in main function: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the script when executed directly (the CLI imports it instead)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
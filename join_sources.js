@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Script to join krates deposits and vault holdings per user and underlying asset
+ *
+ * Excluded addresses are kept and flagged so campaign totals can be audited end to end.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { groupEventsByUserAndAsset, loadKratesEvents } from './fetch_krates_events.js';
+import { buildShareLedger, getSharePrice, loadVaultEvents, sharesToAssets } from './fetch_vault_balance.js';
+import { loadAttributionRules } from './lib/attribution.js';
+import { writeFileAtomic } from './lib/csv.js';
+import { listExclusion, loadEligibilityRules } from './lib/eligibility.js';
+import { resolveToBlock } from './lib/finality.js';
+import { getProvider } from './lib/provider.js';
+import { formatAmount, getTokenMetadata, getVaultAsset } from './lib/token_metadata.js';
+
+/**
+ * Short column label for a vault, matching the vault CSV file names
+ */
+function vaultColumn(vaultAddress) {
+    return `vault_${vaultAddress.slice(0, 8)}`;
+}
+
+/**
+ * Join grouped krates totals with vault positions into one row per (user, asset)
+ */
+export function joinSources(kratesTotals, vaultPositions, { vaults, kratesExcluded = new Set(), vaultsExcluded = new Set() }) {
+    const rows = new Map();
+    
+    const rowFor = (user, asset) => {
+        const id = `${user}-${asset}`;
+        if (!rows.has(id)) {
+            rows.set(id, { user, asset, krates: 0n, vaults: Object.fromEntries(vaults.map(vault => [vault, 0n])) });
+        }
+        return rows.get(id);
+    };
+    
+    for (const entry of kratesTotals) {
+        rowFor(entry.user, entry.asset).krates += BigInt(entry.amount);
+    }
+    for (const position of vaultPositions) {
+        rowFor(position.user, position.asset).vaults[position.vault] += position.assets;
+    }
+    
+    return [...rows.values()]
+        .map(row => {
+            const vaultHeld = Object.values(row.vaults).reduce((sum, amount) => sum + amount, 0n);
+            const inKrates = row.krates > 0n;
+            const inVaults = vaultHeld > 0n;
+            
+            const excluded = [];
+            if (kratesExcluded.has(row.user.toLowerCase())) excluded.push('krates');
+            if (vaultsExcluded.has(row.user.toLowerCase())) excluded.push('vaults');
+            
+            return {
+                ...row,
+                vaultHeld,
+                combined: row.krates + vaultHeld,
+                sources: inKrates && inVaults ? 'both' : (inKrates ? 'krates' : 'vaults'),
+                excluded: excluded.join('|')
+            };
+        })
+        .sort((a, b) => {
+            if (a.user !== b.user) {
+                return a.user.localeCompare(b.user);
+            }
+            return a.asset.localeCompare(b.asset);
+        });
+}
+
+/**
+ * Save the join report to CSV file, with one amount column per vault
+ */
+export function saveJoinToFile(rows, vaults, tokens, filename = 'join_report.csv') {
+    try {
+        const csvHeader = `user,asset,symbol,krates_deposited,${vaults.map(vaultColumn).join(',')},vault_held,combined,combined_formatted,sources,excluded\n`;
+        
+        const csvRows = rows.map(row => {
+            const token = tokens[row.asset];
+            const vaultAmounts = vaults.map(vault => row.vaults[vault].toString()).join(',');
+            return `${row.user},${row.asset},${token?.symbol || ''},${row.krates},${vaultAmounts},${row.vaultHeld},${row.combined},${token ? formatAmount(row.combined, token.decimals) : ''},${row.sources},${row.excluded}`;
+        }).join('\n');
+        
+        const csvContent = csvHeader + csvRows;
+        
+        writeFileAtomic(filename, csvContent);
+        console.log(`Saved ${rows.length} joined entries to ${filename}`);
+    } catch (error) {
+        console.error(`Error saving join report to file: ${error.message}`);
+    }
+}
+
+/**
+ * Save the addresses that appear in only one source to CSV file
+ */
+export function saveSingleSourceToFile(rows, filename = 'join_single_source.csv') {
+    try {
+        const bySource = new Map();
+        for (const row of rows) {
+            bySource.set(row.user, bySource.has(row.user) && bySource.get(row.user) !== row.sources ? 'both' : row.sources);
+        }
+        
+        const singles = [...bySource.entries()].filter(([, source]) => source !== 'both');
+        
+        const csvHeader = 'user,source\n';
+        const csvRows = singles.map(([user, source]) => `${user},${source}`).join('\n');
+        
+        writeFileAtomic(filename, csvHeader + csvRows);
+        console.log(`Saved ${singles.length} single-source addresses to ${filename}`);
+        return singles.length;
+    } catch (error) {
+        console.error(`Error saving single-source addresses to file: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Build the cross-source join report for a campaign
+ */
+export async function runJoin(campaign) {
+    if (!campaign.krates || !campaign.vaults) {
+        throw new Error(`Campaign "${campaign.name}" needs both krates and vaults to join them`);
+    }
+    
+    const provider = await getProvider(campaign.rpcUrls, campaign.rpcPool, campaign.chainId);
+    
+    // Load krates deposits with excluded users kept in, so they can be flagged
+    console.log(`\n=== Loading krates deposits from ${campaign.krates.address} ===`);
+    const kratesEvents = await loadKratesEvents(provider, campaign);
+    const kratesTotals = groupEventsByUserAndAsset(kratesEvents);
+    
+    // Load every vault position at the snapshot block, excluded holders included
+    const { addresses, fromBlock, toBlock } = campaign.vaults;
+    const snapshotBlock = await resolveToBlock(provider, toBlock, campaign.finality);
+    const vaultPositions = [];
+    const assets = kratesEvents.map(event => event.asset);
+    
+    for (const vaultAddress of addresses) {
+        console.log(`\n=== Loading vault positions for ${vaultAddress} at block ${snapshotBlock} ===`);
+        
+        const events = await loadVaultEvents(provider, vaultAddress, fromBlock, snapshotBlock, loadAttributionRules(campaign), campaign.logSource);
+        const ledger = buildShareLedger(events);
+        const sharePrice = await getSharePrice(provider, vaultAddress, snapshotBlock);
+        const asset = await getVaultAsset(provider, vaultAddress);
+        assets.push(asset);
+        
+        for (const [user, shares] of ledger.balances) {
+            if (shares <= 0n) continue;
+            vaultPositions.push({ vault: vaultAddress, asset, user, assets: sharesToAssets(shares, sharePrice) });
+        }
+    }
+    
+    const tokens = await getTokenMetadata(provider, assets);
+    
+    // Flag users removed by either source's address list rules
+    const users = [...kratesTotals, ...vaultPositions].map(row => row.user);
+    const excludedBy = rules => new Set(users.filter(user => listExclusion(rules, user)).map(user => user.toLowerCase()));
+    const kratesExcluded = excludedBy(loadEligibilityRules(campaign, 'krates'));
+    const vaultsExcluded = excludedBy(loadEligibilityRules(campaign, 'vaults'));
+    
+    const rows = joinSources(kratesTotals, vaultPositions, { vaults: addresses, kratesExcluded, vaultsExcluded });
+    
+    fs.mkdirSync(campaign.outputDir, { recursive: true });
+    saveJoinToFile(rows, addresses, tokens, path.join(campaign.outputDir, 'join_report.csv'));
+    const singleSourceCount = saveSingleSourceToFile(rows, path.join(campaign.outputDir, 'join_single_source.csv'));
+    
+    // Per-asset totals, split into counted and excluded amounts
+    console.log("\nJoin Summary:");
+    console.log(`Total user-asset pairs: ${rows.length}`);
+    console.log(`Addresses in only one source: ${singleSourceCount}`);
+    
+    const totals = {};
+    for (const row of rows) {
+        const total = totals[row.asset] ||= { krates: 0n, vaults: 0n, excludedKrates: 0n, excludedVaults: 0n };
+        total.krates += row.krates;
+        total.vaults += row.vaultHeld;
+        if (kratesExcluded.has(row.user.toLowerCase())) total.excludedKrates += row.krates;
+        if (vaultsExcluded.has(row.user.toLowerCase())) total.excludedVaults += row.vaultHeld;
+    }
+    
+    for (const [asset, total] of Object.entries(totals)) {
+        const token = tokens[asset];
+        const fmt = amount => formatAmount(amount, token.decimals);
+        console.log(`  ${token.symbol}: krates ${fmt(total.krates)} (excluded ${fmt(total.excludedKrates)}), vaults ${fmt(total.vaults)} (excluded ${fmt(total.excludedVaults)}), combined ${fmt(total.krates + total.vaults)}`);
+    }
+}
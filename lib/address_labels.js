@@ -0,0 +1,163 @@
+/**
+ * Address classification: tag user addresses as EOAs, generic contracts or
+ * Safe-like proxies from their bytecode at a snapshot block.
+ */
+
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { chainCachePath } from './provider.js';
+
+export const DEFAULT_LABEL_CACHE = '.cache/address_labels.json';
+
+export const ADDRESS_LABELS = ['eoa', 'contract', 'safe'];
+
+// getThreshold() and getOwners(), dispatched in every Safe singleton
+const SAFE_SELECTORS = ['e75235b8', 'a0e67e2b'];
+
+// masterCopy() selector, answered by the Safe proxy itself from storage slot 0
+const MASTER_COPY_SELECTOR = 'a619486e';
+
+const THRESHOLD_CALL = '0xe75235b8';
+
+const PUSH1 = 0x60;
+const PUSH4 = 0x63;
+const PUSH32 = 0x7f;
+
+// EIP-7702 delegation designator: an EOA with delegated code still holds its key
+const DELEGATION_PREFIX = '0xef0100';
+
+function loadCache(cacheFile) {
+    if (!fs.existsSync(cacheFile)) return {};
+    return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+}
+
+function saveCache(cacheFile, cache) {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify(cache, null, 2));
+}
+
+/**
+ * Function selectors pushed by the bytecode, read opcode by opcode so that
+ * PUSH data and metadata never match by accident. Dispatchers push them with
+ * PUSH4, or left-aligned with PUSH32 as the Safe proxy does.
+ */
+function pushedSelectors(code) {
+    const bytes = ethers.getBytes(code);
+    const selectors = new Set();
+    
+    for (let i = 0; i < bytes.length; i++) {
+        const op = bytes[i];
+        if (op < PUSH1 || op > PUSH32) continue;
+        
+        const data = ethers.hexlify(bytes.slice(i + 1, i + 1 + op - PUSH1 + 1)).slice(2);
+        if (op === PUSH4) selectors.add(data);
+        if (op === PUSH32 && /^0+$/.test(data.slice(8))) selectors.add(data.slice(0, 8));
+        i += op - PUSH1 + 1;
+    }
+    
+    return selectors;
+}
+
+function isSafeCode(code) {
+    const selectors = pushedSelectors(code);
+    return SAFE_SELECTORS.every(selector => selectors.has(selector));
+}
+
+/**
+ * Confirm a Safe by calling getThreshold() at the block: a Safe answers with
+ * a non-zero threshold once set up, anything else reverts or answers garbage
+ */
+async function hasSafeThreshold(provider, address, blockTag) {
+    try {
+        const result = await provider.call({ to: address, data: THRESHOLD_CALL, blockTag });
+        return ethers.dataLength(result) === 32 && BigInt(result) > 0n;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * A cached label is still valid at `block` if the address had code at an
+ * earlier block, or had none at a later one
+ */
+function cachedLabel(entry, block) {
+    if (!entry) return null;
+    if (entry.label === 'eoa' && entry.block >= block) return entry.label;
+    if (entry.label !== 'eoa' && entry.block <= block) return entry.label;
+    return null;
+}
+
+/**
+ * Classify one address at a block as 'eoa', 'contract' or 'safe'
+ *
+ * A Safe candidate found in the bytecode must also answer getThreshold() at the block.
+ */
+export async function classifyAddress(provider, address, blockTag, singletons = new Map()) {
+    const code = (await provider.getCode(address, blockTag)).toLowerCase();
+    
+    if (code === '0x' || code.startsWith(DELEGATION_PREFIX)) return 'eoa';
+    if (isSafeCode(code)) {
+        return await hasSafeThreshold(provider, address, blockTag) ? 'safe' : 'contract';
+    }
+    
+    // Safe proxies delegate everything to the singleton address stored in slot 0
+    if (pushedSelectors(code).has(MASTER_COPY_SELECTOR)) {
+        const slot = await provider.getStorage(address, 0, blockTag);
+        const singleton = ethers.getAddress('0x' + slot.slice(-40));
+        
+        if (!singletons.has(singleton)) {
+            const singletonCode = (await provider.getCode(singleton, blockTag)).toLowerCase();
+            singletons.set(singleton, isSafeCode(singletonCode));
+        }
+        // The proxy answers with its own storage, so it is the one asked for a threshold
+        if (singletons.get(singleton) && await hasSafeThreshold(provider, address, blockTag)) return 'safe';
+    }
+    
+    return 'contract';
+}
+
+/**
+ * Label every address at a snapshot block, keyed by checksummed address
+ *
+ * Labels are cached per chain with the block they were read at.
+ */
+export async function getAddressLabels(provider, addresses, snapshotBlock, cacheFile = DEFAULT_LABEL_CACHE) {
+    cacheFile = await chainCachePath(provider, cacheFile);
+    const cache = loadCache(cacheFile);
+    const singletons = new Map();
+    const labels = {};
+    let updated = false;
+    
+    const unique = [...new Set(addresses.map(a => ethers.getAddress(a)))];
+    console.log(`Classifying ${unique.length} addresses at block ${snapshotBlock}`);
+    
+    for (const address of unique) {
+        const key = address.toLowerCase();
+        let label = cachedLabel(cache[key], snapshotBlock);
+        
+        if (!label) {
+            label = await classifyAddress(provider, address, snapshotBlock, singletons);
+            cache[key] = { label, block: snapshotBlock };
+            updated = true;
+        }
+        
+        labels[address] = label;
+    }
+    
+    if (updated) {
+        saveCache(cacheFile, cache);
+    }
+    
+    const counts = ADDRESS_LABELS.map(label => `${Object.values(labels).filter(l => l === label).length} ${label}`);
+    console.log(`Address types: ${counts.join(', ')}`);
+    
+    return labels;
+}
+
+/**
+ * Whether a campaign needs address labels, either for the output or for an eligibility rule
+ */
+export function labelsEnabled(campaign) {
+    return Boolean(campaign.addressLabels || campaign.eligibility?.excludeLabels?.length);
+}
@@ -0,0 +1,150 @@
+/**
+ * Router attribution: credit positions that a router, zap or bundler
+ * contract received on a user's behalf to the transaction sender (tx.from).
+ *
+ * Rewritten events keep the address they replaced in `originals`.
+ */
+
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { getAddressLabels } from './address_labels.js';
+import { writeFileAtomic } from './csv.js';
+import { chainCachePath } from './provider.js';
+
+export const DEFAULT_SENDER_CACHE = '.cache/tx_senders.json';
+
+function loadCache(cacheFile) {
+    if (!fs.existsSync(cacheFile)) return {};
+    return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+}
+
+function saveCache(cacheFile, cache) {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify(cache, null, 2));
+}
+
+/**
+ * Build the attribution rules of a campaign, or null when attribution is off
+ */
+export function loadAttributionRules(campaign) {
+    const config = campaign.attribution;
+    if (!config) return null;
+    
+    return {
+        routers: new Set((config.routers || []).map(address => address.toLowerCase())),
+        labels: new Set(config.labels || [])
+    };
+}
+
+/**
+ * Look up the sender (tx.from) of each transaction, keyed by transaction hash
+ */
+export async function getTransactionSenders(provider, txHashes, cacheFile = DEFAULT_SENDER_CACHE) {
+    cacheFile = await chainCachePath(provider, cacheFile);
+    const cache = loadCache(cacheFile);
+    const senders = {};
+    let updated = false;
+    
+    for (const hash of new Set(txHashes)) {
+        if (!cache[hash]) {
+            const tx = await provider.getTransaction(hash);
+            if (!tx) {
+                throw new Error(`Transaction ${hash} not found`);
+            }
+            cache[hash] = tx.from;
+            updated = true;
+        }
+        senders[hash] = cache[hash];
+    }
+    
+    if (updated) {
+        saveCache(cacheFile, cache);
+    }
+    
+    return senders;
+}
+
+/**
+ * Re-attribute the `recipient` field of each event to the transaction sender
+ *
+ * `linked` fields are rewritten along with it only when they hold the same
+ * address, so a router that sends or pays out keeps its own address there.
+ */
+export async function attributeEvents(provider, events, rules, { recipient, linked = [], eventTypes = null }, blockTag) {
+    const receiving = events.filter(event => !eventTypes || eventTypes.includes(event.eventType));
+    
+    // Events leave fields they do not have empty
+    const candidates = new Set(receiving.map(event => event[recipient]));
+    candidates.delete(ethers.ZeroAddress);
+    candidates.delete('');
+    candidates.delete(undefined);
+    
+    const labels = rules.labels.size > 0
+        ? await getAddressLabels(provider, [...candidates], blockTag)
+        : {};
+    const matches = address => candidates.has(address)
+        && (rules.routers.has(address.toLowerCase()) || rules.labels.has(labels[ethers.getAddress(address)]));
+    
+    const routed = new Set(receiving.filter(event => matches(event[recipient])));
+    const senders = await getTransactionSenders(provider, [...routed].map(event => event.transactionHash));
+    
+    let rewritten = 0;
+    const attributed = events.map(event => {
+        const result = { ...event, originals: {} };
+        if (!routed.has(event)) return result;
+        
+        const router = event[recipient];
+        const sender = senders[event.transactionHash];
+        if (sender.toLowerCase() === router.toLowerCase()) return result;
+        
+        for (const field of [recipient, ...linked]) {
+            if (event[field] !== router) continue;
+            
+            result.originals[field] = router;
+            result[field] = sender;
+            rewritten++;
+        }
+        
+        return result;
+    });
+    
+    console.log(`Re-attributed ${rewritten} addresses in ${routed.size} routed events to their transaction senders`);
+    return attributed;
+}
+
+/**
+ * Map each router to the senders it was re-attributed to, with event counts
+ */
+export function routerSenders(events) {
+    const counts = new Map();
+    
+    for (const event of events) {
+        for (const [field, router] of Object.entries(event.originals || {})) {
+            const key = `${router}-${event[field]}`;
+            const entry = counts.get(key) || { router, sender: event[field], count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        }
+    }
+    
+    return [...counts.values()].sort((a, b) => a.router.localeCompare(b.router) || a.sender.localeCompare(b.sender));
+}
+
+/**
+ * Save the router → sender mapping to CSV file
+ */
+export function saveAttributionMap(mapping, filename) {
+    try {
+        const csvHeader = 'router,sender,events\n';
+        
+        const csvRows = mapping.map(entry =>
+            `${entry.router},${entry.sender},${entry.count}`
+        ).join('\n');
+        
+        writeFileAtomic(filename, csvHeader + csvRows);
+        console.log(`Saved ${mapping.length} router attributions to ${filename}`);
+    } catch (error) {
+        console.error(`Error saving attribution map to file: ${error.message}`);
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * Block timestamps, fetched once per block and cached in a local JSON file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_FINALITY, getFinalBlock } from './finality.js';
+import { chainCachePath } from './provider.js';
+
+export const DEFAULT_TIMESTAMP_CACHE = '.cache/block_timestamps.json';
+
+// Blocks requested concurrently; the pool spreads them over its endpoints within their rate limits
+const FETCH_BATCH_SIZE = 50;
+
+function loadCache(cacheFile) {
+    if (!fs.existsSync(cacheFile)) return {};
+    return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+}
+
+function saveCache(cacheFile, cache) {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify(cache));
+}
+
+/**
+ * Resolve unix timestamps (seconds) for a list of block numbers
+ *
+ * Returns an object keyed by block number. The cache is kept per chain.
+ */
+export async function getBlockTimestamps(provider, blockNumbers, cacheFile = DEFAULT_TIMESTAMP_CACHE) {
+    cacheFile = await chainCachePath(provider, cacheFile);
+    const cache = loadCache(cacheFile);
+    const unique = [...new Set(blockNumbers)];
+    const missing = unique.filter(block => cache[block] === undefined);
+    
+    if (missing.length > 0) {
+        console.log(`Fetching timestamps for ${missing.length} blocks`);
+    }
+    
+    for (let i = 0; i < missing.length; i += FETCH_BATCH_SIZE) {
+        const batch = missing.slice(i, i + FETCH_BATCH_SIZE);
+        const blocks = await Promise.all(batch.map(block => provider.getBlock(block)));
+        
+        blocks.forEach((block, j) => {
+            if (!block) {
+                throw new Error(`Block ${batch[j]} not found`);
+            }
+            cache[batch[j]] = block.timestamp;
+        });
+        
+        // Checkpoint after every batch so a long fetch is never lost
+        saveCache(cacheFile, cache);
+    }
+    
+    const timestamps = {};
+    for (const block of unique) {
+        timestamps[block] = cache[block];
+    }
+    return timestamps;
+}
+
+/**
+ * Find the last block with a timestamp at or before `timestamp` (unix seconds)
+ *
+ * Binary search between `lo` and `hi` (default: the latest block).
+ */
+export async function findBlockByTimestamp(provider, timestamp, { lo = 0, hi = null } = {}) {
+    if (hi === null) {
+        hi = await provider.getBlockNumber();
+    }
+    
+    const timestampOf = async block => (await provider.getBlock(block)).timestamp;
+    
+    if (await timestampOf(lo) > timestamp) {
+        throw new Error(`Timestamp ${new Date(timestamp * 1000).toISOString()} is before block ${lo}`);
+    }
+    if (await timestampOf(hi) <= timestamp) {
+        return hi;
+    }
+    
+    // Invariant: timestamp(lo) <= target < timestamp(hi)
+    while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (await timestampOf(mid) <= timestamp) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    
+    return lo;
+}
+
+// YYYY-MM-DD, optionally followed by Thh:mm[:ss[.sss]] and a Z or ±hh:mm offset
+const ISO_PATTERN = /^(\d{4}-\d{2}-\d{2})(T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+/**
+ * Parse a unix timestamp from an ISO 8601 date or date-time (UTC unless an offset is given)
+ */
+export function parseIsoTimestamp(value) {
+    const match = ISO_PATTERN.exec(value);
+    const millis = match ? Date.parse(`${match[1]}${match[2] || 'T00:00:00'}${match[3] || 'Z'}`) : NaN;
+    if (Number.isNaN(millis)) {
+        throw new Error(`Invalid timestamp "${value}": expected an ISO 8601 date or date-time`);
+    }
+    return Math.floor(millis / 1000);
+}
+
+/**
+ * Resolve a block spec to a block number: an integer, "latest" (the final block), or an ISO timestamp
+ *
+ * Timestamps are searched for up to the final block.
+ */
+export async function resolveBlockSpec(provider, spec, finality = DEFAULT_FINALITY) {
+    if (typeof spec === 'number') return spec;
+    if (spec === 'latest') return getFinalBlock(provider, finality);
+    if (/^\d+$/.test(spec)) return Number(spec);
+    
+    const finalBlock = await getFinalBlock(provider, finality);
+    return findBlockByTimestamp(provider, parseIsoTimestamp(spec), { hi: finalBlock });
+}
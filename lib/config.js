@@ -0,0 +1,520 @@
+/**
+ * Campaign configuration: loading, flag overrides and validation.
+ *
+ * A config file (JSON or YAML) holds named campaigns. A campaign spanning
+ * several chains lists them under `networks`; commands run one network at a
+ * time through networkCampaign().
+ */
+
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { ADDRESS_LABELS } from './address_labels.js';
+import { DEFAULT_EXPLORER_OPTIONS, LOG_SOURCE_TYPES } from './log_sources.js';
+
+export const DEFAULT_CONFIG_FILE = 'campaigns.json';
+
+// Chain of campaigns that set neither networks nor chainId: Ethereum mainnet
+export const DEFAULT_CHAIN_ID = 1;
+
+const FINALITY_TAGS = ['finalized', 'safe', 'latest'];
+
+/**
+ * Error raised for unreadable or invalid configuration
+ */
+export class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+/**
+ * Read a JSON or YAML config file, chosen by extension
+ */
+export function loadConfig(file = DEFAULT_CONFIG_FILE) {
+    if (!fs.existsSync(file)) {
+        throw new ConfigError(`Config file not found: ${file}`);
+    }
+    
+    const text = fs.readFileSync(file, 'utf8');
+    const ext = path.extname(file).toLowerCase();
+    
+    try {
+        return ext === '.yaml' || ext === '.yml' ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+        throw new ConfigError(`Could not parse ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Pick a campaign by name (or the config's default) and apply flag overrides
+ *
+ * Only defined override values replace the configured ones; `overrides.network`
+ * narrows a multi-network campaign to one network.
+ */
+export function resolveCampaign(config, name, overrides = {}) {
+    const campaignName = name || config.defaultCampaign;
+    if (!campaignName) {
+        throw new ConfigError('No campaign given and the config has no defaultCampaign');
+    }
+    
+    const base = config.campaigns?.[campaignName];
+    if (!base) {
+        const known = Object.keys(config.campaigns || {}).join(', ') || 'none';
+        throw new ConfigError(`Unknown campaign "${campaignName}" (known campaigns: ${known})`);
+    }
+    
+    let campaign = structuredClone(base);
+    campaign.name = campaignName;
+    campaign.outputDir = overrides.outputDir ?? campaign.outputDir ?? '.';
+    campaign.prices = overrides.prices ?? campaign.prices;
+    campaign.addressLabels = overrides.addressLabels ?? campaign.addressLabels;
+    
+    if (overrides.network !== undefined) {
+        campaign = networkCampaign(campaign, overrides.network);
+    }
+    
+    if (campaign.networks) {
+        for (const option of ['rpcUrls', 'kratesAddress', 'vaultAddresses']) {
+            if (overrides[option] !== undefined) {
+                throw new ConfigError(`Campaign "${campaign.name}" defines several networks; pick one to override ${option}`);
+            }
+        }
+        Object.values(campaign.networks).forEach(network => applyChainOverrides(network, overrides));
+    } else {
+        campaign.chainId ??= DEFAULT_CHAIN_ID;
+        applyChainOverrides(campaign, overrides);
+    }
+    
+    validateCampaign(campaign);
+    return campaign;
+}
+
+/**
+ * Apply the overrides that concern one chain: endpoints, finality and contracts
+ */
+function applyChainOverrides(chain, overrides) {
+    chain.rpcUrls = overrides.rpcUrls ?? chain.rpcUrls;
+    chain.finality = overrides.finality ?? chain.finality;
+    for (const option of ['quorum', 'maxRps', 'maxTotalRps', 'concurrency']) {
+        if (overrides[option] !== undefined) {
+            chain.rpcPool = { ...chain.rpcPool, [option]: overrides[option] };
+        }
+    }
+    
+    for (const source of ['krates', 'vaults']) {
+        if (!chain[source]) continue;
+        if (overrides.fromBlock !== undefined) chain[source].fromBlock = overrides.fromBlock;
+        if (overrides.toBlock !== undefined) chain[source].toBlock = overrides.toBlock;
+        if (overrides.exclude !== undefined) chain[source].exclude = overrides.exclude;
+    }
+    
+    for (const source of chain.eventSources || []) {
+        if (overrides.fromBlock !== undefined) source.fromBlock = overrides.fromBlock;
+        if (overrides.toBlock !== undefined) source.toBlock = overrides.toBlock;
+    }
+    
+    if (overrides.kratesAddress !== undefined && chain.krates) {
+        chain.krates.address = overrides.kratesAddress;
+    }
+    if (overrides.vaultAddresses !== undefined && chain.vaults) {
+        chain.vaults.addresses = overrides.vaultAddresses;
+    }
+}
+
+/**
+ * Narrow a multi-network campaign to one network, as a single-chain campaign writing to `<outputDir>/<network>`
+ */
+export function networkCampaign(campaign, name) {
+    const network = campaign.networks?.[name];
+    if (!network) {
+        const known = Object.keys(campaign.networks || {}).join(', ') || 'none';
+        throw new ConfigError(`Unknown network "${name}" in campaign "${campaign.name}" (known networks: ${known})`);
+    }
+    
+    const { networks, ...shared } = campaign;
+    const withStart = source => source && { ...source, fromBlock: source.fromBlock ?? network.fromBlock };
+    
+    return {
+        ...shared,
+        network: name,
+        chainId: network.chainId,
+        rpcUrls: network.rpcUrls,
+        logSource: network.logSource,
+        rpcPool: campaign.rpcPool || network.rpcPool ? { ...campaign.rpcPool, ...network.rpcPool } : undefined,
+        finality: network.finality ?? campaign.finality,
+        krates: withStart(network.krates),
+        vaults: withStart(network.vaults),
+        eventSources: network.eventSources?.map(withStart),
+        outputDir: path.join(campaign.outputDir, name)
+    };
+}
+
+/**
+ * Every network of a multi-network campaign as a single-chain campaign, in config order
+ */
+export function networkCampaigns(campaign) {
+    return Object.keys(campaign.networks).map(name => networkCampaign(campaign, name));
+}
+
+/**
+ * Parse a finality flag: "finalized", "safe", "latest" or a number of confirmations
+ */
+export function parseFinality(value) {
+    if (value === undefined || /^[a-z]+$/.test(value)) return value;
+    if (!/^\d+$/.test(value)) {
+        throw new ConfigError(`Invalid finality "${value}": expected finalized, safe, latest or a number of confirmations`);
+    }
+    return Number(value);
+}
+
+/**
+ * Parse a block flag: an integer or "latest"
+ */
+export function parseBlock(value) {
+    if (value === undefined || value === 'latest') return value;
+    if (!/^\d+$/.test(String(value))) {
+        throw new ConfigError(`Invalid block "${value}": expected a non-negative integer or "latest"`);
+    }
+    return Number(value);
+}
+
+function checkAddress(value, where) {
+    if (typeof value !== 'string' || !ethers.isAddress(value)) {
+        throw new ConfigError(`${where}: "${value}" is not a valid Ethereum address`);
+    }
+}
+
+function checkBlock(value, where) {
+    if (value === 'latest') return;
+    if (!Number.isInteger(value) || value < 0) {
+        throw new ConfigError(`${where}: "${value}" is not a block number or "latest"`);
+    }
+}
+
+function checkBlockRange(source, where) {
+    checkBlock(source.fromBlock, `${where}.fromBlock`);
+    checkBlock(source.toBlock ?? 'latest', `${where}.toBlock`);
+    
+    if (source.fromBlock === 'latest') {
+        throw new ConfigError(`${where}.fromBlock cannot be "latest"`);
+    }
+    if (Number.isInteger(source.toBlock) && source.toBlock < source.fromBlock) {
+        throw new ConfigError(`${where}: block range is inverted (fromBlock ${source.fromBlock} > toBlock ${source.toBlock})`);
+    }
+}
+
+function checkAddressList(list, where) {
+    if (!Array.isArray(list)) {
+        throw new ConfigError(`${where} must be a list of addresses`);
+    }
+    list.forEach((address, i) => checkAddress(address, `${where}[${i}]`));
+}
+
+function checkDecimal(value, where) {
+    if (!/^\d+(\.\d+)?$/.test(String(value))) {
+        throw new ConfigError(`${where}: "${value}" is not a non-negative decimal number`);
+    }
+}
+
+function checkPoints(points, where) {
+    if (points.unit !== undefined && points.unit !== 'blocks' && points.unit !== 'seconds') {
+        throw new ConfigError(`${where}.unit must be "blocks" or "seconds", got "${points.unit}"`);
+    }
+    if (points.startBlock !== undefined) checkBlock(points.startBlock, `${where}.startBlock`);
+    if (points.endBlock !== undefined) checkBlock(points.endBlock, `${where}.endBlock`);
+    if (points.startBlock === 'latest') {
+        throw new ConfigError(`${where}.startBlock cannot be "latest"`);
+    }
+    if (Number.isInteger(points.startBlock) && Number.isInteger(points.endBlock) && points.endBlock < points.startBlock) {
+        throw new ConfigError(`${where}: block range is inverted (startBlock ${points.startBlock} > endBlock ${points.endBlock})`);
+    }
+    
+    for (const [key, value] of Object.entries(points.multipliers || {})) {
+        checkAddress(key, `${where}.multipliers`);
+        checkDecimal(value, `${where}.multipliers.${key}`);
+    }
+    
+    (points.boosts || []).forEach((boost, i) => {
+        const boostWhere = `${where}.boosts[${i}]`;
+        checkBlock(boost.fromBlock, `${boostWhere}.fromBlock`);
+        checkBlock(boost.toBlock, `${boostWhere}.toBlock`);
+        if (!Number.isInteger(boost.fromBlock) || !Number.isInteger(boost.toBlock) || boost.toBlock <= boost.fromBlock) {
+            throw new ConfigError(`${boostWhere}: needs numeric fromBlock < toBlock`);
+        }
+        checkDecimal(boost.multiplier, `${boostWhere}.multiplier`);
+        if (boost.keys !== undefined) checkAddressList(boost.keys, `${boostWhere}.keys`);
+    });
+}
+
+function checkAmounts(amounts, where) {
+    for (const [asset, amount] of Object.entries(amounts)) {
+        checkAddress(asset, where);
+        if (!/^\d+$/.test(String(amount))) {
+            throw new ConfigError(`${where}.${asset}: "${amount}" is not an integer amount in base units`);
+        }
+    }
+}
+
+function checkEligibility(eligibility, where) {
+    for (const key of ['excludeFiles', 'includeFiles']) {
+        const files = eligibility[key] ?? [];
+        if (!Array.isArray(files) || files.some(file => typeof file !== 'string' || file === '')) {
+            throw new ConfigError(`${where}.${key} must be a list of file paths`);
+        }
+    }
+    
+    for (const label of eligibility.excludeLabels ?? []) {
+        if (!ADDRESS_LABELS.includes(label)) {
+            throw new ConfigError(`${where}.excludeLabels: "${label}" is not one of ${ADDRESS_LABELS.join(', ')}`);
+        }
+    }
+    
+    checkAmounts(eligibility.minDeposit || {}, `${where}.minDeposit`);
+    checkAmounts(eligibility.caps || {}, `${where}.caps`);
+    
+    if (eligibility.cutoffBlock !== undefined && (!Number.isInteger(eligibility.cutoffBlock) || eligibility.cutoffBlock < 0)) {
+        throw new ConfigError(`${where}.cutoffBlock: "${eligibility.cutoffBlock}" is not a block number`);
+    }
+    if (eligibility.minHoldingBlocks !== undefined && (!Number.isInteger(eligibility.minHoldingBlocks) || eligibility.minHoldingBlocks < 0)) {
+        throw new ConfigError(`${where}.minHoldingBlocks: "${eligibility.minHoldingBlocks}" is not a non-negative integer`);
+    }
+}
+
+function checkPositiveInteger(value, where) {
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new ConfigError(`${where}: "${value}" is not a positive integer`);
+    }
+}
+
+function checkMaxRps(value, where) {
+    if (typeof value !== 'number' || !(value > 0)) {
+        throw new ConfigError(`${where}: "${value}" is not a positive number of requests per second`);
+    }
+}
+
+function checkRpcUrl(entry, where) {
+    const url = typeof entry === 'string' ? entry : entry?.url;
+    if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+        throw new ConfigError(`${where}: "${url}" is not an http(s) URL`);
+    }
+    if (typeof entry === 'object' && entry.maxRps !== undefined) {
+        checkMaxRps(entry.maxRps, `${where}.maxRps`);
+    }
+}
+
+function checkRpcPool(rpcPool, where) {
+    if (rpcPool.maxRps !== undefined) {
+        checkMaxRps(rpcPool.maxRps, `${where}.maxRps`);
+    }
+    if (rpcPool.maxTotalRps !== undefined) {
+        checkMaxRps(rpcPool.maxTotalRps, `${where}.maxTotalRps`);
+    }
+    if (rpcPool.concurrency !== undefined) {
+        checkPositiveInteger(rpcPool.concurrency, `${where}.concurrency`);
+    }
+    if (rpcPool.quorum !== undefined && typeof rpcPool.quorum !== 'boolean') {
+        throw new ConfigError(`${where}.quorum must be true or false`);
+    }
+}
+
+function checkLogSource(logSource, where) {
+    if (!LOG_SOURCE_TYPES.includes(logSource?.type)) {
+        throw new ConfigError(`${where}.type must be one of ${LOG_SOURCE_TYPES.join(', ')}, got "${logSource?.type}"`);
+    }
+    
+    if (logSource.type === 'explorer') {
+        if (typeof logSource.url !== 'string' || !/^https?:\/\//.test(logSource.url)) {
+            throw new ConfigError(`${where}.url: "${logSource.url}" is not an http(s) URL`);
+        }
+        if (logSource.apiKey !== undefined && typeof logSource.apiKey !== 'string') {
+            throw new ConfigError(`${where}.apiKey must be a string`);
+        }
+        if (logSource.pageSize !== undefined) checkPositiveInteger(logSource.pageSize, `${where}.pageSize`);
+        if (logSource.maxResults !== undefined) checkPositiveInteger(logSource.maxResults, `${where}.maxResults`);
+        if ((logSource.maxResults ?? DEFAULT_EXPLORER_OPTIONS.maxResults) < (logSource.pageSize ?? DEFAULT_EXPLORER_OPTIONS.pageSize)) {
+            throw new ConfigError(`${where}.maxResults must be at least pageSize`);
+        }
+        if (logSource.maxRps !== undefined) checkMaxRps(logSource.maxRps, `${where}.maxRps`);
+    }
+    
+    if (logSource.type === 'file') {
+        const files = [].concat(logSource.path);
+        if (files.length === 0 || files.some(file => typeof file !== 'string' || file === '')) {
+            throw new ConfigError(`${where}.path must be a log dump file or a list of them`);
+        }
+        if (logSource.toBlock !== undefined && (!Number.isInteger(logSource.toBlock) || logSource.toBlock < 0)) {
+            throw new ConfigError(`${where}.toBlock: "${logSource.toBlock}" is not a block number`);
+        }
+    }
+}
+
+function checkAttribution(attribution, where) {
+    checkAddressList(attribution.routers ?? [], `${where}.routers`);
+    
+    for (const label of attribution.labels ?? []) {
+        if (label !== 'contract' && label !== 'safe') {
+            throw new ConfigError(`${where}.labels: "${label}" must be "contract" or "safe"`);
+        }
+    }
+}
+
+function checkEventSources(sources, where) {
+    if (!Array.isArray(sources)) {
+        throw new ConfigError(`${where} must be a list of event sources`);
+    }
+    
+    const names = new Set();
+    sources.forEach((source, i) => {
+        const sourceWhere = `${where}[${i}]`;
+        if (typeof source.name !== 'string' || !/^[\w.-]+$/.test(source.name)) {
+            throw new ConfigError(`${sourceWhere}.name must be a name made of letters, digits, ".", "_" or "-"`);
+        }
+        if (names.has(source.name)) {
+            throw new ConfigError(`${sourceWhere}: duplicate event source name "${source.name}"`);
+        }
+        names.add(source.name);
+        
+        checkAddress(source.address, `${sourceWhere}.address`);
+        checkBlockRange(source, sourceWhere);
+        
+        if (!Array.isArray(source.events) || source.events.length === 0) {
+            throw new ConfigError(`${sourceWhere}.events must list at least one ABI event fragment`);
+        }
+        source.events.forEach((fragment, j) => {
+            try {
+                ethers.EventFragment.from(fragment.startsWith('event ') ? fragment : `event ${fragment}`);
+            } catch (error) {
+                throw new ConfigError(`${sourceWhere}.events[${j}]: "${fragment}" is not an ABI event fragment`);
+            }
+        });
+    });
+}
+
+function checkNetworks(campaign, where) {
+    const { networks } = campaign;
+    if (typeof networks !== 'object' || networks === null || Array.isArray(networks) || Object.keys(networks).length === 0) {
+        throw new ConfigError(`${where}.networks must map network names to their settings`);
+    }
+    
+    for (const key of ['chainId', 'rpcUrls', 'logSource', 'krates', 'vaults', 'eventSources']) {
+        if (campaign[key] !== undefined) {
+            throw new ConfigError(`${where}.${key} belongs in each network when the campaign defines networks`);
+        }
+    }
+    
+    const chains = new Map();
+    for (const [name, network] of Object.entries(networks)) {
+        const networkWhere = `${where}.networks.${name}`;
+        // Network names become output directories
+        if (!/^[\w.-]+$/.test(name)) {
+            throw new ConfigError(`${networkWhere}: network names must be made of letters, digits, ".", "_" or "-"`);
+        }
+        if (typeof network !== 'object' || network === null) {
+            throw new ConfigError(`${networkWhere} must hold the network's settings`);
+        }
+        
+        if (network.fromBlock !== undefined) {
+            checkBlock(network.fromBlock, `${networkWhere}.fromBlock`);
+            if (network.fromBlock === 'latest') {
+                throw new ConfigError(`${networkWhere}.fromBlock cannot be "latest"`);
+            }
+        }
+        
+        if (chains.has(network.chainId)) {
+            throw new ConfigError(`${networkWhere}.chainId: chain ${network.chainId} is already used by network "${chains.get(network.chainId)}"`);
+        }
+        chains.set(network.chainId, name);
+        
+        checkChain(networkCampaign(campaign, name), networkWhere);
+    }
+}
+
+/**
+ * Validate the settings of a single chain: chain id, endpoints, finality and contracts
+ */
+function checkChain(chain, where) {
+    if (!Number.isInteger(chain.chainId) || chain.chainId <= 0) {
+        throw new ConfigError(`${where}.chainId: "${chain.chainId}" is not a chain id`);
+    }
+    
+    if (!Array.isArray(chain.rpcUrls) || chain.rpcUrls.length === 0) {
+        throw new ConfigError(`${where}.rpcUrls must list at least one RPC endpoint`);
+    }
+    chain.rpcUrls.forEach((entry, i) => checkRpcUrl(entry, `${where}.rpcUrls[${i}]`));
+    
+    if (chain.rpcPool !== undefined) {
+        checkRpcPool(chain.rpcPool, `${where}.rpcPool`);
+    }
+    
+    if (chain.logSource !== undefined) {
+        checkLogSource(chain.logSource, `${where}.logSource`);
+    }
+    
+    if (chain.finality !== undefined && !FINALITY_TAGS.includes(chain.finality)
+        && !(Number.isInteger(chain.finality) && chain.finality >= 0)) {
+        throw new ConfigError(`${where}.finality must be ${FINALITY_TAGS.join(', ')} or a number of confirmations, got "${chain.finality}"`);
+    }
+    
+    if (!chain.krates && !chain.vaults && !chain.eventSources) {
+        throw new ConfigError(`${where} defines neither krates, vaults nor eventSources`);
+    }
+    
+    if (chain.eventSources !== undefined) {
+        checkEventSources(chain.eventSources, `${where}.eventSources`);
+    }
+    
+    if (chain.krates) {
+        checkAddress(chain.krates.address, `${where}.krates.address`);
+        checkBlockRange(chain.krates, `${where}.krates`);
+        checkAddressList(chain.krates.exclude ?? [], `${where}.krates.exclude`);
+    }
+    
+    if (chain.vaults) {
+        checkAddressList(chain.vaults.addresses, `${where}.vaults.addresses`);
+        if (chain.vaults.addresses.length === 0) {
+            throw new ConfigError(`${where}.vaults.addresses must list at least one vault`);
+        }
+        checkBlockRange(chain.vaults, `${where}.vaults`);
+        checkAddressList(chain.vaults.exclude ?? [], `${where}.vaults.exclude`);
+    }
+}
+
+/**
+ * Validate a resolved campaign, throwing a ConfigError that names the bad field
+ */
+export function validateCampaign(campaign) {
+    const where = `campaign "${campaign.name}"`;
+    
+    if (typeof campaign.outputDir !== 'string' || campaign.outputDir === '') {
+        throw new ConfigError(`${where}.outputDir must be a directory path`);
+    }
+    
+    if (campaign.prices !== undefined && (typeof campaign.prices !== 'string' || campaign.prices === '')) {
+        throw new ConfigError(`${where}.prices must be a path to a price file`);
+    }
+    
+    if (campaign.addressLabels !== undefined && typeof campaign.addressLabels !== 'boolean') {
+        throw new ConfigError(`${where}.addressLabels must be true or false`);
+    }
+    
+    if (campaign.points !== undefined) {
+        checkPoints(campaign.points, `${where}.points`);
+    }
+    
+    if (campaign.eligibility !== undefined) {
+        checkEligibility(campaign.eligibility, `${where}.eligibility`);
+    }
+    
+    if (campaign.attribution !== undefined) {
+        checkAttribution(campaign.attribution, `${where}.attribution`);
+    }
+    
+    if (campaign.networks !== undefined) {
+        checkNetworks(campaign, where);
+    } else {
+        checkChain(campaign, campaign.network ? `${where}.networks.${campaign.network}` : where);
+    }
+}
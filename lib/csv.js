@@ -0,0 +1,42 @@
+/**
+ * Minimal CSV reading for the files this repo writes (comma-separated, no quoting),
+ * and atomic writes for outputs that are read while being refreshed.
+ */
+
+import fs from 'fs';
+
+/**
+ * Read a CSV file into an array of objects keyed by header column
+ */
+export function readCsv(filename) {
+    const lines = fs.readFileSync(filename, 'utf8').split(/\r?\n/).filter(line => line !== '');
+    if (lines.length === 0) return [];
+    
+    const header = lines[0].split(',');
+    
+    return lines.slice(1).map(line => {
+        const values = line.split(',');
+        const row = {};
+        header.forEach((column, i) => {
+            row[column] = values[i] ?? '';
+        });
+        return row;
+    });
+}
+
+/**
+ * Read the header columns of a CSV file, or [] for an empty file
+ */
+export function readCsvHeader(filename) {
+    const [header = ''] = fs.readFileSync(filename, 'utf8').split(/\r?\n/, 1);
+    return header === '' ? [] : header.split(',');
+}
+
+/**
+ * Write a file through a temporary file and a rename, so readers never see it half-written
+ */
+export function writeFileAtomic(filename, content) {
+    const tmp = `${filename}.tmp`;
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, filename);
+}
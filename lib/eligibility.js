@@ -0,0 +1,186 @@
+/**
+ * Eligibility rules engine applied to krates totals and vault balances.
+ *
+ * Rules come from the campaign's `eligibility` block plus each source's own
+ * `exclude` list. Every excluded or capped position is recorded in an audit
+ * trail naming the rule that applied.
+ */
+
+import { ethers } from 'ethers';
+import fs from 'fs';
+import { ConfigError } from './config.js';
+import { writeFileAtomic } from './csv.js';
+
+/**
+ * Read an address list file: one address per line, or the first column of a CSV
+ *
+ * Blank lines, `#` comments and a `user`/`address` header are skipped.
+ */
+export function loadAddressList(file) {
+    if (!fs.existsSync(file)) {
+        throw new ConfigError(`Address list not found: ${file}`);
+    }
+    
+    const addresses = [];
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+    
+    lines.forEach((line, i) => {
+        const value = line.replace(/#.*/, '').split(',')[0].trim();
+        if (value === '' || value === 'user' || value === 'address') return;
+        
+        if (!ethers.isAddress(value)) {
+            throw new ConfigError(`${file}:${i + 1}: "${value}" is not a valid address`);
+        }
+        addresses.push(ethers.getAddress(value));
+    });
+    
+    return addresses;
+}
+
+function amountsByAsset(map = {}) {
+    const amounts = {};
+    for (const [asset, amount] of Object.entries(map)) {
+        amounts[asset.toLowerCase()] = BigInt(amount);
+    }
+    return amounts;
+}
+
+/**
+ * Build the rules for one source ('krates' or 'vaults') of a campaign
+ */
+export function loadEligibilityRules(campaign, source) {
+    const config = campaign.eligibility || {};
+    const listed = new Map();
+    
+    for (const user of campaign[source]?.exclude || []) {
+        listed.set(user.toLowerCase(), { rule: 'exclude', detail: `${source}.exclude` });
+    }
+    for (const file of config.excludeFiles || []) {
+        for (const user of loadAddressList(file)) {
+            if (!listed.has(user.toLowerCase())) {
+                listed.set(user.toLowerCase(), { rule: 'excludeFiles', detail: file });
+            }
+        }
+    }
+    
+    let include = null;
+    if (config.includeFiles?.length) {
+        include = new Set();
+        for (const file of config.includeFiles) {
+            loadAddressList(file).forEach(user => include.add(user.toLowerCase()));
+        }
+    }
+    
+    return {
+        source,
+        listed,
+        include,
+        includeDetail: (config.includeFiles || []).join('|'),
+        minDeposit: amountsByAsset(config.minDeposit),
+        caps: amountsByAsset(config.caps),
+        excludeLabels: new Set(config.excludeLabels || []),
+        cutoffBlock: config.cutoffBlock,
+        minHoldingBlocks: config.minHoldingBlocks
+    };
+}
+
+/**
+ * The list rule (exclusion or missing from the inclusion list) that removes a user, or null
+ */
+export function listExclusion(rules, user) {
+    const key = user.toLowerCase();
+    
+    if (rules.listed.has(key)) {
+        return rules.listed.get(key);
+    }
+    if (rules.include && !rules.include.has(key)) {
+        return { rule: 'includeFiles', detail: `not in ${rules.includeDetail}` };
+    }
+    return null;
+}
+
+/**
+ * Apply every rule to a list of positions as of a snapshot block
+ *
+ * Returns the eligible positions (capped where needed) and the audit trail.
+ */
+export function applyEligibility(positions, rules, snapshotBlock) {
+    const eligible = [];
+    const audit = [];
+    
+    const record = (position, rule, detail, action = 'excluded') => {
+        audit.push({ source: rules.source, user: position.user, asset: position.asset, rule, detail, action, amount: position.amount });
+    };
+    
+    for (const original of positions) {
+        const position = { ...original };
+        const asset = position.asset.toLowerCase();
+        
+        const listed = listExclusion(rules, position.user);
+        if (listed) {
+            record(position, listed.rule, listed.detail);
+            continue;
+        }
+        
+        if (position.label !== undefined && rules.excludeLabels.has(position.label)) {
+            record(position, 'excludeLabels', `address type is ${position.label}`);
+            continue;
+        }
+        
+        if (rules.cutoffBlock !== undefined && rules.cutoffBlock < snapshotBlock) {
+            position.amount = position.cutoffAmount;
+            if (position.cutoffUsdValue !== undefined) {
+                position.usdValue = position.cutoffUsdValue;
+            }
+            if (position.amount <= 0n) {
+                record(original, 'cutoffBlock', `nothing deposited at or before block ${rules.cutoffBlock}`);
+                continue;
+            }
+        }
+        
+        if (rules.minHoldingBlocks !== undefined) {
+            const held = position.heldSince === undefined ? 0 : snapshotBlock - position.heldSince;
+            if (held < rules.minHoldingBlocks) {
+                record(position, 'minHoldingBlocks', `held ${held} of ${rules.minHoldingBlocks} blocks`);
+                continue;
+            }
+        }
+        
+        const minimum = rules.minDeposit[asset];
+        if (minimum !== undefined && position.amount < minimum) {
+            record(position, 'minDeposit', `${position.amount} below minimum ${minimum}`);
+            continue;
+        }
+        
+        const cap = rules.caps[asset];
+        if (cap !== undefined && position.amount > cap) {
+            record(position, 'caps', `${position.amount} capped to ${cap}`, 'capped');
+            if (position.usdValue !== undefined) {
+                position.usdValue = (BigInt(position.usdValue) * cap / position.amount).toString();
+            }
+            position.amount = cap;
+        }
+        
+        eligible.push(position);
+    }
+    
+    return { eligible, audit };
+}
+
+/**
+ * Save the eligibility audit trail to CSV file
+ */
+export function saveAuditToFile(audit, filename) {
+    try {
+        const csvHeader = 'source,user,asset,rule,action,amount,detail\n';
+        
+        const csvRows = audit.map(entry => 
+            `${entry.source},${entry.user},${entry.asset},${entry.rule},${entry.action},${entry.amount},${entry.detail}`
+        ).join('\n');
+        
+        writeFileAtomic(filename, csvHeader + csvRows);
+        console.log(`Saved ${audit.length} eligibility audit entries to ${filename}`);
+    } catch (error) {
+        console.error(`Error saving eligibility audit to file: ${error.message}`);
+    }
+}
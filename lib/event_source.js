@@ -0,0 +1,108 @@
+/**
+ * Declarative event sources: a contract address, ABI event fragments and a
+ * block range. Logs are fetched through the log cache and decoded through
+ * the ABI into { event, address, chainId, blockNumber, transactionHash, logIndex, args } records.
+ */
+
+import { ethers } from 'ethers';
+import { resolveToBlock } from './finality.js';
+import { fetchLogsCached } from './log_cache.js';
+import { getLogSource } from './log_sources.js';
+
+/**
+ * Build an event source from { name, address, events, fromBlock, toBlock }
+ *
+ * `events` are human-readable ABI fragments, with or without the leading `event` keyword.
+ */
+export function defineEventSource({ name, address, events, fromBlock = 0, toBlock = 'latest' }) {
+    const fragments = events.map(fragment => ethers.EventFragment.from(fragment.startsWith('event ') ? fragment : `event ${fragment}`));
+    const topicHashes = fragments.map(fragment => fragment.topicHash);
+    
+    return {
+        name: name || address,
+        address: ethers.getAddress(address),
+        iface: new ethers.Interface(fragments),
+        eventNames: fragments.map(fragment => fragment.name),
+        // A single event filters on its topic; several are an OR condition, in declaration order
+        topics: topicHashes.length === 1 ? [topicHashes[0]] : [topicHashes],
+        fromBlock,
+        toBlock
+    };
+}
+
+/**
+ * Fetch a source's raw logs, scanning only blocks missing from the log cache
+ */
+export async function fetchEventSource(provider, source, fromBlock = source.fromBlock, toBlock = source.toBlock, scanOptions = {}) {
+    console.log(`Searching for ${source.eventNames.join('/')} events on ${source.address}`);
+    
+    // "latest" stops at the finalized block
+    if (toBlock === 'latest') {
+        toBlock = await resolveToBlock(provider, toBlock);
+    }
+    
+    const { logSource: logSourceConfig, ...options } = scanOptions;
+    const logSource = getLogSource(logSourceConfig);
+    const filter = { address: source.address, topics: source.topics };
+    const label = `${source.name} (${source.address})`;
+    
+    const logs = logSource.cached
+        ? await fetchLogsCached(provider, filter, fromBlock, toBlock, { label, ...options, logSource })
+        : await logSource.fetchLogs(provider, filter, fromBlock, toBlock, { label, ...options });
+    
+    console.log(`Found ${logs.length} total ${source.name} logs`);
+    return logs;
+}
+
+/**
+ * Decode raw logs through the source's ABI into typed records
+ *
+ * Duplicate logs are dropped; logs that fail to decode are reported and skipped.
+ */
+export function decodeLogs(source, logs, chainId = null) {
+    const records = [];
+    const seen = new Set();
+    
+    for (const log of logs) {
+        const logIndex = log.index ?? log.logIndex;
+        const key = `${log.transactionHash}-${logIndex}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        
+        let parsed;
+        try {
+            parsed = source.iface.parseLog({ topics: log.topics, data: log.data });
+        } catch (error) {
+            console.error(`Error decoding ${source.name} log ${key}: ${error.message}`);
+            continue;
+        }
+        if (!parsed) continue;
+        
+        const args = {};
+        parsed.fragment.inputs.forEach((input, i) => {
+            args[input.name || `arg${i}`] = parsed.args[i];
+        });
+        
+        records.push({
+            event: parsed.name,
+            address: ethers.getAddress(log.address),
+            chainId,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            logIndex,
+            args
+        });
+    }
+    
+    return records;
+}
+
+/**
+ * Fetch and decode a source's events, in block and log order
+ */
+export async function loadEventSource(provider, source, fromBlock = source.fromBlock, toBlock = source.toBlock, scanOptions = {}) {
+    const logs = await fetchEventSource(provider, source, fromBlock, toBlock, scanOptions);
+    const { chainId } = await provider.getNetwork();
+    return decodeLogs(source, logs, Number(chainId))
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
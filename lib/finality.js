@@ -0,0 +1,53 @@
+/**
+ * Finality: how close to the chain head a scan or snapshot may go.
+ *
+ * `finality` is a block tag ("finalized", "safe" or "latest") or a number of
+ * confirmations below the head.
+ */
+
+export const DEFAULT_FINALITY = 'finalized';
+
+// Confirmations used when the provider does not support the finalized/safe tags
+const FALLBACK_CONFIRMATIONS = 64;
+
+/**
+ * The newest block considered final under a finality setting
+ */
+export async function getFinalBlock(provider, finality = DEFAULT_FINALITY) {
+    if (Number.isInteger(finality)) {
+        const head = await provider.getBlockNumber();
+        return Math.max(head - finality, 0);
+    }
+    
+    if (finality === 'latest') {
+        return provider.getBlockNumber();
+    }
+    
+    try {
+        const block = await provider.getBlock(finality);
+        if (block) return block.number;
+    } catch (error) {
+        console.log(`"${finality}" block tag unavailable (${error.message})`);
+    }
+    
+    console.log(`Falling back to ${FALLBACK_CONFIRMATIONS} confirmations below the head`);
+    const head = await provider.getBlockNumber();
+    return Math.max(head - FALLBACK_CONFIRMATIONS, 0);
+}
+
+/**
+ * Resolve a range end: "latest" becomes the final block; explicit blocks past it only warn
+ */
+export async function resolveToBlock(provider, toBlock, finality = DEFAULT_FINALITY) {
+    const finalBlock = await getFinalBlock(provider, finality);
+    
+    if (toBlock === undefined || toBlock === 'latest') {
+        console.log(`Resolved "latest" to block ${finalBlock} (finality: ${finality})`);
+        return finalBlock;
+    }
+    
+    if (toBlock > finalBlock) {
+        console.warn(`Warning: block ${toBlock} is past the final block ${finalBlock}; its logs may still be reorged out`);
+    }
+    return toBlock;
+}
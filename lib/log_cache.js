@@ -0,0 +1,269 @@
+/**
+ * Persistent on-disk cache of raw logs with checkpoint/resume.
+ *
+ * Each contract + topic filter gets an NDJSON file of raw logs and a
+ * `.ranges.json` file recording the scanned ranges, recent block hashes and
+ * the NDJSON length they account for. A rerun only fetches the ranges not yet
+ * covered, after rolling the cache back past any reorg.
+ */
+
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { chainCachePath } from './provider.js';
+import { scanLogs } from './range_scanner.js';
+
+export const DEFAULT_CACHE_DIR = '.cache/logs';
+
+// Chunk-end block hashes kept per filter for reorg detection
+export const MAX_CHECKPOINTS = 64;
+
+/**
+ * Build the cache file paths for a getLogs filter
+ */
+export function cachePaths(filter, cacheDir = DEFAULT_CACHE_DIR) {
+    const filterHash = ethers.id(JSON.stringify(filter.topics || [])).slice(2, 10);
+    const base = path.join(cacheDir, `${filter.address.toLowerCase()}-${filterHash}`);
+    
+    return {
+        logs: `${base}.ndjson`,
+        ranges: `${base}.ranges.json`
+    };
+}
+
+/**
+ * Convert an ethers Log into a plain JSON-safe object
+ */
+export function serializeLog(log) {
+    return {
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        transactionIndex: log.transactionIndex,
+        logIndex: log.index ?? log.logIndex,
+        address: log.address,
+        topics: [...log.topics],
+        data: log.data
+    };
+}
+
+/**
+ * Sort ranges and merge any that overlap or touch
+ */
+export function mergeRanges(ranges) {
+    const sorted = ranges
+        .map(([from, to]) => [from, to])
+        .sort((a, b) => a[0] - b[0]);
+    
+    const merged = [];
+    for (const range of sorted) {
+        const last = merged.at(-1);
+        if (last && range[0] <= last[1] + 1) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push(range);
+        }
+    }
+    
+    return merged;
+}
+
+/**
+ * List the parts of [fromBlock, toBlock] not covered by the scanned ranges
+ */
+export function missingRanges(scannedRanges, fromBlock, toBlock) {
+    const missing = [];
+    let cursor = fromBlock;
+    
+    for (const [from, to] of mergeRanges(scannedRanges)) {
+        if (to < cursor) continue;
+        if (from > toBlock) break;
+        if (from > cursor) {
+            missing.push([cursor, from - 1]);
+        }
+        cursor = to + 1;
+    }
+    
+    if (cursor <= toBlock) {
+        missing.push([cursor, toBlock]);
+    }
+    
+    return missing;
+}
+
+/**
+ * Load the scan state for a filter: { ranges, checkpoints: [[block, hash], ...], logBytes? }
+ */
+export function loadScanState(paths) {
+    if (!fs.existsSync(paths.ranges)) return { ranges: [], checkpoints: [] };
+    
+    const state = JSON.parse(fs.readFileSync(paths.ranges, 'utf8'));
+    // Caches written before block hashes were recorded hold a bare list of ranges
+    if (Array.isArray(state)) return { ranges: state, checkpoints: [] };
+    return state;
+}
+
+/**
+ * Load the scanned block ranges for a filter
+ */
+export function loadScannedRanges(paths) {
+    return loadScanState(paths).ranges;
+}
+
+function saveScanState(paths, state) {
+    const checkpoints = [...state.checkpoints]
+        .sort((a, b) => a[0] - b[0])
+        .slice(-MAX_CHECKPOINTS);
+    
+    // Write to a temp file first so a crash never leaves a truncated checkpoint
+    const tmp = `${paths.ranges}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ ranges: mergeRanges(state.ranges), checkpoints, logBytes: state.logBytes }));
+    fs.renameSync(tmp, paths.ranges);
+}
+
+/**
+ * Drop every scanned range, checkpoint and cached log after `lastGoodBlock`
+ */
+export function rollbackCache(paths, state, lastGoodBlock) {
+    const rolledBack = {
+        ranges: state.ranges
+            .filter(([from]) => from <= lastGoodBlock)
+            .map(([from, to]) => [from, Math.min(to, lastGoodBlock)]),
+        checkpoints: state.checkpoints.filter(([block]) => block <= lastGoodBlock),
+        logBytes: 0
+    };
+    
+    if (fs.existsSync(paths.logs)) {
+        const kept = fs.readFileSync(paths.logs, 'utf8')
+            .split('\n')
+            .filter(line => line && JSON.parse(line).blockNumber <= lastGoodBlock);
+        const content = kept.length > 0 ? kept.join('\n') + '\n' : '';
+        
+        const tmp = `${paths.logs}.tmp`;
+        fs.writeFileSync(tmp, content);
+        fs.renameSync(tmp, paths.logs);
+        rolledBack.logBytes = Buffer.byteLength(content);
+    }
+    
+    saveScanState(paths, rolledBack);
+    return rolledBack;
+}
+
+/**
+ * Check the recorded block hashes against the chain, newest first
+ *
+ * After a reorg the cache is rolled back to the newest checkpoint that still
+ * matches. Returns the scan state to use.
+ */
+export async function verifyCheckpoints(provider, paths, state) {
+    const newestFirst = [...state.checkpoints].sort((a, b) => b[0] - a[0]);
+    let changedBlock = null;
+    
+    for (const [block, hash] of newestFirst) {
+        const current = await provider.getBlock(block);
+        if (current?.hash === hash) {
+            if (changedBlock === null) return state;
+            
+            console.warn(`Reorg detected: hash of block ${changedBlock} changed; rolling back ${paths.logs} to block ${block}`);
+            return rollbackCache(paths, state, block);
+        }
+        changedBlock = block;
+    }
+    
+    if (changedBlock === null) return state;
+    
+    console.warn(`Reorg detected: no recorded block hash still matches; clearing ${paths.logs}`);
+    return rollbackCache(paths, state, -1);
+}
+
+/**
+ * Read cached logs between fromBlock and toBlock, in block and log order, without duplicates
+ */
+export function readCachedLogs(paths, fromBlock, toBlock) {
+    if (!fs.existsSync(paths.logs)) return [];
+    
+    const seen = new Set();
+    const logs = [];
+    
+    for (const line of fs.readFileSync(paths.logs, 'utf8').split('\n')) {
+        if (!line) continue;
+        
+        const log = JSON.parse(line);
+        if (log.blockNumber < fromBlock || log.blockNumber > toBlock) continue;
+        
+        const key = `${log.blockNumber}-${log.logIndex}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        
+        logs.push(log);
+    }
+    
+    return logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * Cut off logs appended after the scan state was last saved, so their chunk is scanned again
+ */
+function discardUncommittedLogs(paths, state) {
+    const size = fs.existsSync(paths.logs) ? fs.statSync(paths.logs).size : 0;
+    
+    if (state.logBytes === undefined) {
+        state.logBytes = size;
+    } else if (size > state.logBytes) {
+        console.warn(`Discarding ${size - state.logBytes} bytes of uncheckpointed logs from ${paths.logs}`);
+        fs.truncateSync(paths.logs, state.logBytes);
+    }
+}
+
+/**
+ * Fetch logs for a filter, scanning only the ranges missing from the cache
+ *
+ * Every chunk is appended and checkpointed as soon as it is fetched. The
+ * returned logs are always read back from the cache.
+ */
+export async function fetchLogsCached(provider, filter, fromBlock, toBlock, options = {}) {
+    const { cacheDir = DEFAULT_CACHE_DIR, logSource = null, ...scanOptions } = options;
+    const fetchLogs = logSource ? logSource.fetchLogs : scanLogs;
+    const paths = cachePaths(filter, await chainCachePath(provider, cacheDir));
+    fs.mkdirSync(path.dirname(paths.logs), { recursive: true });
+    
+    const saved = loadScanState(paths);
+    discardUncommittedLogs(paths, saved);
+    const state = await verifyCheckpoints(provider, paths, saved);
+    const missing = missingRanges(state.ranges, fromBlock, toBlock);
+    
+    if (missing.length === 0) {
+        console.log(`Blocks ${fromBlock}-${toBlock} already cached in ${paths.logs}`);
+    }
+    
+    for (const [missingFrom, missingTo] of missing) {
+        console.log(`Scanning uncached blocks ${missingFrom}-${missingTo}`);
+        
+        await fetchLogs(provider, filter, missingFrom, missingTo, {
+            ...scanOptions,
+            onChunk: async (logs, chunkFrom, chunkTo) => {
+                // Record the chunk end's hash so a later run can detect a reorg
+                const block = await provider.getBlock(chunkTo);
+                if (!block) {
+                    throw new Error(`Block ${chunkTo} not found; the RPC endpoint may be behind the scanned range`);
+                }
+                
+                // Logs and state are written back to back; discardUncommittedLogs covers a crash in between
+                if (logs.length > 0) {
+                    const lines = logs.map(log => JSON.stringify(serializeLog(log))).join('\n') + '\n';
+                    fs.appendFileSync(paths.logs, lines);
+                    state.logBytes += Buffer.byteLength(lines);
+                }
+                state.ranges.push([chunkFrom, chunkTo]);
+                state.checkpoints.push([chunkTo, block.hash]);
+                saveScanState(paths, state);
+                
+                if (scanOptions.onChunk) {
+                    await scanOptions.onChunk(logs, chunkFrom, chunkTo);
+                }
+            }
+        });
+    }
+    
+    return readCachedLogs(paths, fromBlock, toBlock);
+}
@@ -0,0 +1,276 @@
+/**
+ * Log backends: where the raw logs of an event source come from.
+ *
+ * - `rpc` (default): eth_getLogs through the provider, chunked by the range scanner
+ * - `explorer`: an Etherscan-compatible `module=logs&action=getLogs` HTTP API
+ * - `file`: local NDJSON or CSV dumps of raw logs
+ *
+ * Every backend returns logs in the shape the log cache stores.
+ */
+
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { readCsv } from './csv.js';
+import { backoffDelay, DEFAULT_SCAN_OPTIONS, RangeScanError, scanLogs } from './range_scanner.js';
+import { createTokenBucket } from './rate_limiter.js';
+
+export const LOG_SOURCE_TYPES = ['rpc', 'explorer', 'file'];
+
+// Etherscan serves at most 1000 logs per page and 10,000 across the pages of one query
+export const DEFAULT_EXPLORER_OPTIONS = {
+    pageSize: 1000,
+    maxResults: 10000,
+    maxRps: 5
+};
+
+const EXPLORER_TIMEOUT_MS = 30000;
+
+// Explorer answers that mean "slow down", as opposed to a bad request
+const EXPLORER_RATE_LIMIT_PATTERN = /rate limit|too many requests/i;
+
+/**
+ * Error returned by an explorer API for a request that will not succeed on retry
+ */
+export class ExplorerApiError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExplorerApiError';
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse a block number or index given as a number, a decimal string or a hex quantity
+ */
+function quantity(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+    // Explorers return "0x" for a zero log or transaction index
+    return value === '0x' ? 0 : Number(value);
+}
+
+/**
+ * Convert a raw log from any backend into the normalized log shape
+ */
+export function normalizeLog(raw) {
+    let topics = raw.topics ?? [raw.topic0, raw.topic1, raw.topic2, raw.topic3].filter(Boolean);
+    if (typeof topics === 'string') {
+        topics = topics.split('|').filter(Boolean);
+    }
+    
+    return {
+        blockNumber: quantity(raw.blockNumber ?? raw.block_number),
+        blockHash: raw.blockHash ?? raw.block_hash ?? null,
+        transactionHash: raw.transactionHash ?? raw.transaction_hash,
+        transactionIndex: quantity(raw.transactionIndex ?? raw.transaction_index),
+        logIndex: quantity(raw.logIndex ?? raw.log_index ?? raw.index),
+        address: ethers.getAddress(raw.address),
+        topics: topics.map(topic => topic.toLowerCase()),
+        data: raw.data || '0x'
+    };
+}
+
+/**
+ * Check a normalized log against a getLogs filter ({ address, topics })
+ *
+ * Each topic position is null (any), one topic or a list of alternatives.
+ */
+export function matchesFilter(log, filter) {
+    if (filter.address && log.address.toLowerCase() !== filter.address.toLowerCase()) {
+        return false;
+    }
+    
+    return (filter.topics || []).every((expected, i) => {
+        if (expected === null || expected === undefined) return true;
+        const alternatives = Array.isArray(expected) ? expected : [expected];
+        return alternatives.some(topic => topic.toLowerCase() === log.topics[i]);
+    });
+}
+
+function byBlockAndIndex(a, b) {
+    return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * Read every log of an NDJSON or CSV dump, chosen by extension
+ */
+function readDump(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Log dump not found: ${file}`);
+    }
+    
+    if (path.extname(file).toLowerCase() === '.csv') {
+        return readCsv(file).map((row, i) => {
+            try {
+                return normalizeLog(row);
+            } catch (error) {
+                throw new Error(`${file} row ${i + 1}: ${error.message}`);
+            }
+        });
+    }
+    
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+    return lines.flatMap((line, i) => {
+        if (line.trim() === '') return [];
+        try {
+            return [normalizeLog(JSON.parse(line))];
+        } catch (error) {
+            throw new Error(`${file} line ${i + 1}: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * A backend over local dumps: `path` is one file or a list; `toBlock` is the last block they cover
+ */
+function createFileSource(config) {
+    const files = [].concat(config.path);
+    let logs = null;
+    
+    return {
+        type: 'file',
+        cached: false,
+        fetchLogs: async (provider, filter, fromBlock, toBlock, { label = filter.address } = {}) => {
+            // A dump that stops early would silently drop the latest events
+            if (config.toBlock !== undefined && toBlock > config.toBlock) {
+                throw new RangeScanError(label, [{
+                    fromBlock: config.toBlock + 1,
+                    toBlock,
+                    reason: `log dumps only cover blocks up to ${config.toBlock}`
+                }]);
+            }
+            
+            if (!logs) {
+                logs = files.flatMap(readDump);
+                console.log(`Loaded ${logs.length} logs from ${files.join(', ')}`);
+            }
+            
+            return logs
+                .filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock && matchesFilter(log, filter))
+                .sort(byBlockAndIndex);
+        }
+    };
+}
+
+/**
+ * A backend over an Etherscan-compatible logs API (see DEFAULT_EXPLORER_OPTIONS)
+ */
+function createExplorerSource(config) {
+    const options = { ...DEFAULT_EXPLORER_OPTIONS, ...config };
+    const bucket = createTokenBucket(options.maxRps);
+    
+    const request = async params => {
+        const url = new URL(options.url);
+        for (const [key, value] of Object.entries({ module: 'logs', action: 'getLogs', ...params, apikey: options.apiKey })) {
+            if (value !== undefined) url.searchParams.set(key, String(value));
+        }
+        
+        for (let attempt = 0; ; attempt++) {
+            await bucket.take();
+            try {
+                const response = await fetch(url, { signal: AbortSignal.timeout(EXPLORER_TIMEOUT_MS) });
+                if (!response.ok) {
+                    const message = `HTTP ${response.status} ${response.statusText}`;
+                    throw response.status === 429 || response.status >= 500 ? new Error(message) : new ExplorerApiError(message);
+                }
+                
+                const body = await response.json();
+                if (Array.isArray(body.result)) {
+                    // "No records found" comes with status "0" and an empty result
+                    return body.result;
+                }
+                
+                const detail = typeof body.result === 'string' ? body.result : body.message;
+                throw EXPLORER_RATE_LIMIT_PATTERN.test(detail) ? new Error(detail) : new ExplorerApiError(`Explorer API error: ${detail}`);
+            } catch (error) {
+                if (error instanceof ExplorerApiError || attempt >= DEFAULT_SCAN_OPTIONS.maxRetries) throw error;
+                
+                const delay = backoffDelay(attempt);
+                console.log(`  Explorer request failed (${error.message}), retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${DEFAULT_SCAN_OPTIONS.maxRetries})`);
+                await sleep(delay);
+            }
+        }
+    };
+    
+    /**
+     * Fetch one result window from `fromBlock`: up to maxResults logs over several pages
+     *
+     * Returns the logs and the last block they fully cover.
+     */
+    const fetchWindow = async (params, fromBlock, toBlock) => {
+        const logs = [];
+        
+        for (let page = 1; page * options.pageSize <= options.maxResults; page++) {
+            const result = await request({ ...params, fromBlock, toBlock, page, offset: options.pageSize });
+            logs.push(...result.map(normalizeLog));
+            if (result.length < options.pageSize) {
+                return { logs, coveredTo: toBlock };
+            }
+        }
+        
+        // The window is full and may end mid-block: keep whole blocks and continue from the last one
+        const lastBlock = logs.at(-1).blockNumber;
+        if (lastBlock === fromBlock) {
+            throw new ExplorerApiError(`Block ${fromBlock} alone has more than ${options.maxResults} logs, past the explorer's result window`);
+        }
+        return { logs: logs.filter(log => log.blockNumber < lastBlock), coveredTo: lastBlock - 1 };
+    };
+    
+    return {
+        type: 'explorer',
+        cached: true,
+        fetchLogs: async (provider, filter, fromBlock, toBlock, { onChunk, label = filter.address } = {}) => {
+            // The API takes one topic0; several alternatives are filtered here instead
+            const params = { address: filter.address };
+            const [topic0] = filter.topics || [];
+            if (typeof topic0 === 'string') {
+                params.topic0 = topic0;
+            }
+            
+            const logs = [];
+            let cursor = fromBlock;
+            while (cursor <= toBlock) {
+                let window;
+                try {
+                    window = await fetchWindow(params, cursor, toBlock);
+                } catch (error) {
+                    throw new RangeScanError(label, [{ fromBlock: cursor, toBlock, reason: error.message }]);
+                }
+                
+                const chunk = window.logs.filter(log => matchesFilter(log, filter)).sort(byBlockAndIndex);
+                console.log(`  [${label}] Blocks ${cursor}-${window.coveredTo}: ${chunk.length} logs from the explorer`);
+                if (onChunk) {
+                    await onChunk(chunk, cursor, window.coveredTo);
+                }
+                
+                logs.push(...chunk);
+                cursor = window.coveredTo + 1;
+            }
+            
+            return logs;
+        }
+    };
+}
+
+const RPC_SOURCE = { type: 'rpc', cached: true, fetchLogs: scanLogs };
+
+// One backend per config object, so concurrent scans share its rate limit and a dump is read once
+const sources = new WeakMap();
+
+/**
+ * Get the backend for a campaign's `logSource` config; no config means eth_getLogs over RPC
+ *
+ * `cached` backends are called through the log cache.
+ */
+export function getLogSource(config) {
+    if (!config || config.type === 'rpc') return RPC_SOURCE;
+    
+    if (!sources.has(config)) {
+        sources.set(config, config.type === 'explorer' ? createExplorerSource(config) : createFileSource(config));
+    }
+    return sources.get(config);
+}
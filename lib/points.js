@@ -0,0 +1,182 @@
+/**
+ * Time-weighted balance and points calculator.
+ *
+ * Each (user, key) position earns balance × duration between the start and
+ * end block, scaled by the key's multiplier and any overlapping boost windows.
+ * Multipliers are 18-decimal fixed point.
+ */
+
+import { ethers } from 'ethers';
+
+const WAD = 10n ** 18n;
+
+/**
+ * Balance deltas for krates DepositProcessed records: deposits only add
+ */
+export function depositDeltas(events) {
+    return events.map(event => ({
+        user: event.user,
+        key: event.asset,
+        delta: BigInt(event.amount),
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex
+    }));
+}
+
+/**
+ * Balance deltas in vault shares from ShareTransfer records
+ */
+export function shareTransferDeltas(events, vaultAddress) {
+    const deltas = [];
+    
+    for (const event of events) {
+        if (event.eventType !== 'ShareTransfer') continue;
+        
+        const shares = BigInt(event.shares);
+        const base = { key: vaultAddress, blockNumber: event.blockNumber, logIndex: event.logIndex };
+        
+        if (event.caller !== ethers.ZeroAddress) {
+            deltas.push({ ...base, user: event.caller, delta: -shares });
+        }
+        if (event.receiver !== ethers.ZeroAddress) {
+            deltas.push({ ...base, user: event.receiver, delta: shares });
+        }
+    }
+    
+    return deltas;
+}
+
+function toWad(value) {
+    return ethers.parseUnits(String(value), 18);
+}
+
+/**
+ * Normalize a points config: multipliers keyed by lowercase address, boosts parsed to WAD
+ */
+export function parsePointsConfig(config = {}) {
+    const multipliers = {};
+    for (const [key, value] of Object.entries(config.multipliers || {})) {
+        multipliers[key.toLowerCase()] = toWad(value);
+    }
+    
+    const boosts = (config.boosts || []).map(boost => ({
+        fromBlock: boost.fromBlock,
+        toBlock: boost.toBlock,
+        multiplier: toWad(boost.multiplier),
+        keys: boost.keys ? new Set(boost.keys.map(key => key.toLowerCase())) : null
+    }));
+    
+    return { unit: config.unit || 'blocks', multipliers, boosts };
+}
+
+/**
+ * Blocks whose timestamps are needed to compute points in seconds
+ */
+export function pointsTimeBlocks(deltas, startBlock, endBlock, boosts) {
+    const blocks = new Set([startBlock, endBlock]);
+    
+    for (const delta of deltas) {
+        if (delta.blockNumber > startBlock && delta.blockNumber <= endBlock) {
+            blocks.add(delta.blockNumber);
+        }
+    }
+    for (const boost of boosts) {
+        for (const block of [boost.fromBlock, boost.toBlock]) {
+            if (block > startBlock && block < endBlock) blocks.add(block);
+        }
+    }
+    
+    return [...blocks];
+}
+
+/**
+ * Duration of [fromBlock, toBlock) scaled by the boost windows active for a key, in WAD
+ */
+function boostedDuration(fromBlock, toBlock, key, boosts, timeOf) {
+    // Split the interval at every boost boundary that falls inside it
+    const cuts = new Set([fromBlock, toBlock]);
+    for (const boost of boosts) {
+        if (boost.keys && !boost.keys.has(key)) continue;
+        for (const block of [boost.fromBlock, boost.toBlock]) {
+            if (block > fromBlock && block < toBlock) cuts.add(block);
+        }
+    }
+    
+    const points = [...cuts].sort((a, b) => a - b);
+    let total = 0n;
+    
+    for (let i = 0; i < points.length - 1; i++) {
+        const segmentStart = points[i];
+        let multiplier = WAD;
+        for (const boost of boosts) {
+            if (boost.keys && !boost.keys.has(key)) continue;
+            if (segmentStart >= boost.fromBlock && segmentStart < boost.toBlock) {
+                multiplier = multiplier * boost.multiplier / WAD;
+            }
+        }
+        total += BigInt(timeOf(points[i + 1]) - timeOf(segmentStart)) * multiplier;
+    }
+    
+    return total;
+}
+
+/**
+ * Compute time-weighted points per (user, key) between startBlock and endBlock
+ *
+ * `timeOf(block)` maps a block to the time axis: the block itself, or its timestamp.
+ */
+export function calculatePoints(deltas, { startBlock, endBlock, timeOf = block => block, multipliers = {}, boosts = [] }) {
+    // Group deltas per position, in block and log order
+    const positions = new Map();
+    const sorted = [...deltas].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    
+    for (const delta of sorted) {
+        if (delta.blockNumber > endBlock) continue;
+        
+        const id = `${delta.user}-${delta.key}`;
+        if (!positions.has(id)) {
+            positions.set(id, { user: delta.user, key: delta.key, deltas: [] });
+        }
+        positions.get(id).deltas.push(delta);
+    }
+    
+    const rows = [];
+    
+    for (const position of positions.values()) {
+        const key = position.key.toLowerCase();
+        let balance = 0n;
+        let cursor = startBlock;
+        let accrued = 0n; // balance × WAD-scaled duration
+        
+        const accrue = untilBlock => {
+            // Negative positions (incomplete history) never earn negative points
+            if (untilBlock > cursor && balance > 0n) {
+                accrued += balance * boostedDuration(cursor, untilBlock, key, boosts, timeOf);
+            }
+        };
+        
+        for (const delta of position.deltas) {
+            if (delta.blockNumber > startBlock) {
+                accrue(delta.blockNumber);
+                cursor = delta.blockNumber;
+            }
+            balance += delta.delta;
+        }
+        accrue(endBlock);
+        
+        const multiplier = multipliers[key] ?? WAD;
+        const points = accrued * multiplier / WAD / WAD;
+        
+        if (points > 0n || balance > 0n) {
+            rows.push({ user: position.user, key: position.key, balance, points });
+        }
+    }
+    
+    // Sort by user, then by key
+    return rows.sort((a, b) => {
+        if (a.user !== b.user) {
+            return a.user.localeCompare(b.user);
+        }
+        return a.key.localeCompare(b.key);
+    });
+}
@@ -0,0 +1,154 @@
+/**
+ * USD valuation from a local price table.
+ *
+ * The price file is JSON keyed by asset address, with prices per UTC day or
+ * per block range (block ranges win). USD values are 18-decimal fixed-point BigInts.
+ */
+
+import { ethers } from 'ethers';
+import fs from 'fs';
+import { formatAmount } from './token_metadata.js';
+
+export const USD_DECIMALS = 18;
+
+/**
+ * Error raised when the price table is invalid or has no price for an asset
+ */
+export class PricingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PricingError';
+    }
+}
+
+/**
+ * Load and validate a price file, keyed by lowercase asset address
+ */
+export function loadPriceTable(file) {
+    if (!fs.existsSync(file)) {
+        throw new PricingError(`Price file not found: ${file}`);
+    }
+    
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const table = {};
+    
+    for (const [asset, entries] of Object.entries(raw)) {
+        if (!ethers.isAddress(asset)) {
+            throw new PricingError(`${file}: "${asset}" is not a valid asset address`);
+        }
+        if (!Array.isArray(entries)) {
+            throw new PricingError(`${file}: prices for ${asset} must be a list`);
+        }
+        
+        table[asset.toLowerCase()] = entries.map((entry, i) => {
+            const where = `${file}: ${asset}[${i}]`;
+            
+            let usd;
+            try {
+                usd = ethers.parseUnits(String(entry.usd), USD_DECIMALS);
+            } catch (error) {
+                throw new PricingError(`${where}: invalid usd price "${entry.usd}"`);
+            }
+            
+            if (entry.date !== undefined) {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.date)) {
+                    throw new PricingError(`${where}: date must be YYYY-MM-DD, got "${entry.date}"`);
+                }
+                return { date: entry.date, usd };
+            }
+            
+            if (!Number.isInteger(entry.fromBlock) || !Number.isInteger(entry.toBlock) || entry.fromBlock > entry.toBlock) {
+                throw new PricingError(`${where}: needs a date or a valid fromBlock/toBlock range`);
+            }
+            return { fromBlock: entry.fromBlock, toBlock: entry.toBlock, usd };
+        });
+    }
+    
+    return table;
+}
+
+/**
+ * UTC day (YYYY-MM-DD) for a unix timestamp in seconds
+ */
+export function utcDate(timestamp) {
+    return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Find the USD price of one whole token at a block
+ */
+export function findPrice(table, asset, blockNumber, timestamp) {
+    const entries = table[asset.toLowerCase()];
+    if (!entries) {
+        throw new PricingError(`No price for asset ${asset} in the price table`);
+    }
+    
+    const byBlock = entries.find(entry => entry.fromBlock !== undefined && blockNumber >= entry.fromBlock && blockNumber <= entry.toBlock);
+    if (byBlock) return byBlock.usd;
+    
+    const date = utcDate(timestamp);
+    const byDate = entries.find(entry => entry.date === date);
+    if (byDate) return byDate.usd;
+    
+    throw new PricingError(`No price for asset ${asset} at block ${blockNumber} (${date})`);
+}
+
+/**
+ * USD value of a base-unit amount given a whole-token price
+ */
+export function usdValue(amount, decimals, price) {
+    return BigInt(amount) * price / 10n ** BigInt(decimals);
+}
+
+/**
+ * Format an 18-decimal USD value as an exact decimal string
+ */
+export function formatUsd(value) {
+    return formatAmount(value, USD_DECIMALS);
+}
+
+/**
+ * Add `timestamp` and `usdValue` to records priced at their own block
+ */
+export function priceRecords(records, { table, tokens, timestamps, amountField = 'amount' }) {
+    return records.map(record => {
+        const token = tokens[record.asset];
+        if (!token) {
+            throw new PricingError(`No decimals known for asset ${record.asset}`);
+        }
+        
+        const timestamp = timestamps[record.blockNumber];
+        const price = findPrice(table, record.asset, record.blockNumber, timestamp);
+        
+        return {
+            ...record,
+            timestamp,
+            usdValue: usdValue(record[amountField], token.decimals, price).toString()
+        };
+    });
+}
+
+/**
+ * Total USD value per asset for priced records
+ */
+export function usdTotalsByAsset(records) {
+    const totals = {};
+    for (const record of records) {
+        totals[record.asset] = (totals[record.asset] || 0n) + BigInt(record.usdValue);
+    }
+    return totals;
+}
+
+/**
+ * Print per-asset USD totals for the run summary
+ */
+export function printUsdTotals(totals, tokens = {}) {
+    let grandTotal = 0n;
+    
+    console.log("\nUSD totals per asset:");
+    for (const [asset, total] of Object.entries(totals)) {
+        console.log(`  ${tokens[asset]?.symbol || asset}: $${formatUsd(total)}`);
+        grandTotal += total;
+    }
+    console.log(`  Total: $${formatUsd(grandTotal)}`);
+}
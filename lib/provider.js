@@ -0,0 +1,76 @@
+/**
+ * RPC provider connection shared by every script.
+ */
+
+import { ethers } from 'ethers';
+import path from 'path';
+import { createEndpoint, createRpcPool } from './rpc_pool.js';
+
+/**
+ * A readable name for a chain id, e.g. "mainnet (chain 1)"
+ */
+export function chainName(chainId) {
+    const { name } = ethers.Network.from(BigInt(chainId));
+    return name === 'unknown' ? `chain ${chainId}` : `${name} (chain ${chainId})`;
+}
+
+/**
+ * Scope a cache file or directory to the provider's chain
+ *
+ * Mainnet keeps the unscoped path; other chains get the chain id appended.
+ */
+export async function chainCachePath(provider, cachePath) {
+    const { chainId } = await provider.getNetwork();
+    if (chainId === BigInt(1)) return cachePath;
+    
+    const ext = path.extname(cachePath);
+    return `${cachePath.slice(0, cachePath.length - ext.length)}-${chainId}${ext}`;
+}
+
+/**
+ * Get a provider connection to a chain from the campaign's RPC endpoints
+ *
+ * Every endpoint that answers joins an RPC pool (see lib/rpc_pool.js);
+ * endpoints serving another chain than `expectedChainId` are left out.
+ */
+export async function getProvider(rpcUrls, rpcPool = {}, expectedChainId = null) {
+    const endpoints = [];
+    let chainId = expectedChainId === null ? null : BigInt(expectedChainId);
+    
+    for (const entry of rpcUrls) {
+        const { url, maxRps = rpcPool.maxRps } = typeof entry === 'string' ? { url: entry } : entry;
+        const endpoint = createEndpoint(url, maxRps);
+        
+        try {
+            // Test the connection; every endpoint must serve the same chain
+            const [result] = await endpoint.provider._send({ method: 'eth_chainId', params: [], id: 1, jsonrpc: '2.0' });
+            if (result.error) throw new Error(result.error.message);
+            
+            const endpointChainId = BigInt(result.result);
+            chainId ??= endpointChainId;
+            if (endpointChainId !== chainId) {
+                throw new Error(`it serves chain ${endpointChainId}, expected chain ${chainId}`);
+            }
+            endpoints.push(endpoint);
+        } catch (error) {
+            console.log(`Failed to connect to ${endpoint.label}: ${error.shortMessage || error.message}`);
+            endpoint.provider.destroy();
+        }
+    }
+    
+    if (endpoints.length === 0) {
+        throw new Error(`Failed to connect to any RPC endpoint${chainId === null ? '' : ` for ${chainName(chainId)}`}`);
+    }
+    
+    const quorum = Boolean(rpcPool.quorum);
+    if (quorum && endpoints.length < 2) {
+        throw new Error(`Quorum mode needs at least two working RPC endpoints, only ${endpoints[0].label} answered`);
+    }
+    
+    console.log(`Connected to ${chainName(chainId)} via ${endpoints.map(endpoint => endpoint.label).join(', ')}${quorum ? ' (quorum on eth_getLogs)' : ''}`);
+    return createRpcPool(endpoints, ethers.Network.from(chainId), {
+        quorum,
+        maxTotalRps: rpcPool.maxTotalRps,
+        concurrency: rpcPool.concurrency
+    });
+}
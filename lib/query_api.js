@@ -0,0 +1,318 @@
+/**
+ * HTTP query API over the balances computed by the watcher.
+ *
+ * Every response is JSON of the form { meta: { campaign, block, updatedAt }, data },
+ * with amounts as strings in base units. Routes are listed in ROUTES.
+ */
+
+import { ethers } from 'ethers';
+import http from 'http';
+import { ConfigError } from './config.js';
+import { formatUsd } from './pricing.js';
+import { formatAmount } from './token_metadata.js';
+
+export const DEFAULT_API_PORT = 8080;
+export const DEFAULT_API_HOST = '127.0.0.1';
+
+const DEFAULT_TOP_LIMIT = 10;
+const MAX_TOP_LIMIT = 1000;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Parse a --port flag, or fall back to the default port
+ */
+export function parsePort(value) {
+    if (value === undefined) return DEFAULT_API_PORT;
+    if (!/^\d+$/.test(value) || Number(value) === 0 || Number(value) > 65535) {
+        throw new ConfigError(`Invalid port "${value}": expected 1-65535`);
+    }
+    return Number(value);
+}
+
+function parseAddress(value) {
+    if (!ethers.isAddress(value)) {
+        throw new HttpError(400, `Invalid address "${value}"`);
+    }
+    return value.toLowerCase();
+}
+
+// Malformed escapes such as "%zz" make decodeURIComponent throw a URIError
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        throw new HttpError(400, `Invalid URL encoding "${value}"`);
+    }
+}
+
+function parseLimit(value) {
+    if (value === null) return DEFAULT_TOP_LIMIT;
+    if (!/^\d+$/.test(value) || Number(value) === 0 || Number(value) > MAX_TOP_LIMIT) {
+        throw new HttpError(400, `Invalid limit "${value}": expected 1-${MAX_TOP_LIMIT}`);
+    }
+    return Number(value);
+}
+
+/**
+ * An amount with its token's symbol, decimals and formatted value
+ */
+function amountFields(tokens, asset, amount) {
+    const token = tokens[asset];
+    return {
+        amount: amount.toString(),
+        symbol: token?.symbol ?? null,
+        decimals: token?.decimals ?? null,
+        amountFormatted: token ? formatAmount(amount, token.decimals) : null
+    };
+}
+
+/**
+ * Optional fields carried by a position: USD value and address type
+ */
+function positionExtras(position) {
+    const extras = {};
+    if (position.usdValue !== undefined) extras.usdValue = formatUsd(position.usdValue);
+    if (position.label !== undefined) extras.addressType = position.label;
+    return extras;
+}
+
+function findVault(view, address) {
+    const vault = view.vaults.find(entry => entry.vault.toLowerCase() === address);
+    if (!vault) {
+        throw new HttpError(404, `Vault ${address} is not part of this campaign`);
+    }
+    return vault;
+}
+
+function byAmountDesc(a, b) {
+    const difference = BigInt(b.amount) - BigInt(a.amount);
+    if (difference !== BigInt(0)) return difference > BigInt(0) ? 1 : -1;
+    return a.user.localeCompare(b.user);
+}
+
+function status(view) {
+    return {
+        krates: { entries: view.krates.length, assets: [...new Set(view.krates.map(entry => entry.asset))] },
+        vaults: view.vaults.map(vault => ({ vault: vault.vault, asset: vault.asset, holders: vault.positions.length }))
+    };
+}
+
+function userKrates(view, user) {
+    return view.krates
+        .filter(entry => entry.user.toLowerCase() === user)
+        .map(entry => ({
+            asset: entry.asset,
+            ...amountFields(view.tokens, entry.asset, entry.amount),
+            ...positionExtras(entry)
+        }));
+}
+
+function userVaults(view, user) {
+    return view.vaults.flatMap(vault => vault.positions
+        .filter(position => position.user.toLowerCase() === user)
+        .map(position => ({
+            vault: vault.vault,
+            asset: vault.asset,
+            shares: position.shares.toString(),
+            ...amountFields(view.tokens, vault.asset, position.amount),
+            ...positionExtras(position)
+        })));
+}
+
+function userEvents(view, user) {
+    const involves = (...addresses) => addresses.some(address => address && address.toLowerCase() === user);
+    
+    const krates = view.events.krates
+        .filter(event => event.blockNumber <= view.block && involves(event.user))
+        .map(event => ({
+            source: 'krates',
+            event: 'DepositProcessed',
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            logIndex: event.logIndex,
+            asset: event.asset,
+            ...amountFields(view.tokens, event.asset, event.amount),
+            referral: event.referral,
+            ...(event.originals?.user ? { originalUser: event.originals.user } : {})
+        }));
+    
+    const vaults = view.vaults.flatMap(vault => (view.events.vaults.get(vault.vault) || [])
+        .filter(event => event.blockNumber <= view.block && involves(event.caller, event.owner, event.receiver))
+        .map(event => ({
+            source: 'vault',
+            vault: vault.vault,
+            event: event.eventType,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            logIndex: event.logIndex,
+            caller: event.caller || null,
+            owner: event.owner || null,
+            receiver: event.receiver || null,
+            asset: vault.asset,
+            ...amountFields(view.tokens, vault.asset, event.assets),
+            shares: event.shares
+        })));
+    
+    return [...krates, ...vaults].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+function totals(view) {
+    const kratesTotals = new Map();
+    for (const entry of view.krates) {
+        const total = kratesTotals.get(entry.asset) || { amount: BigInt(0), users: new Set() };
+        total.amount += BigInt(entry.amount);
+        total.users.add(entry.user);
+        kratesTotals.set(entry.asset, total);
+    }
+    
+    const vaultTotals = view.vaults.map(vault => {
+        let shares = BigInt(0);
+        let amount = BigInt(0);
+        for (const position of vault.positions) {
+            shares += position.shares;
+            amount += position.amount;
+        }
+        return { vault: vault.vault, asset: vault.asset, shares, amount, users: vault.positions.length };
+    });
+    
+    // Per-asset totals across both sources
+    const assetTotals = new Map();
+    const addAsset = (asset, field, amount) => {
+        const total = assetTotals.get(asset) || { krates: BigInt(0), vaults: BigInt(0) };
+        total[field] += amount;
+        assetTotals.set(asset, total);
+    };
+    kratesTotals.forEach((total, asset) => addAsset(asset, 'krates', total.amount));
+    vaultTotals.forEach(total => addAsset(total.asset, 'vaults', total.amount));
+    
+    return {
+        krates: [...kratesTotals].map(([asset, total]) => ({
+            asset,
+            ...amountFields(view.tokens, asset, total.amount),
+            users: total.users.size
+        })),
+        vaults: vaultTotals.map(total => ({
+            vault: total.vault,
+            asset: total.asset,
+            shares: total.shares.toString(),
+            ...amountFields(view.tokens, total.asset, total.amount),
+            users: total.users
+        })),
+        assets: [...assetTotals].map(([asset, total]) => ({
+            asset,
+            ...amountFields(view.tokens, asset, total.krates + total.vaults),
+            krates: total.krates.toString(),
+            vaults: total.vaults.toString()
+        }))
+    };
+}
+
+function topKrates(view, asset, limit) {
+    return view.krates
+        .filter(entry => entry.asset.toLowerCase() === asset)
+        .sort(byAmountDesc)
+        .slice(0, limit)
+        .map((entry, i) => ({
+            rank: i + 1,
+            user: entry.user,
+            ...amountFields(view.tokens, entry.asset, entry.amount),
+            ...positionExtras(entry)
+        }));
+}
+
+function topVault(view, address, limit) {
+    const vault = findVault(view, address);
+    return [...vault.positions]
+        .sort(byAmountDesc)
+        .slice(0, limit)
+        .map((position, i) => ({
+            rank: i + 1,
+            user: position.user,
+            shares: position.shares.toString(),
+            ...amountFields(view.tokens, vault.asset, position.amount),
+            ...positionExtras(position)
+        }));
+}
+
+const ROUTES = [
+    [/^\/status$/, view => status(view)],
+    [/^\/users\/([^/]+)\/krates$/, (view, [address]) => userKrates(view, parseAddress(address))],
+    [/^\/users\/([^/]+)\/vaults$/, (view, [address]) => userVaults(view, parseAddress(address))],
+    [/^\/users\/([^/]+)\/events$/, (view, [address]) => userEvents(view, parseAddress(address))],
+    [/^\/totals$/, view => totals(view)],
+    [/^\/top\/krates\/([^/]+)$/, (view, [asset], query) => topKrates(view, parseAddress(asset), parseLimit(query.get('limit')))],
+    [/^\/top\/vaults\/([^/]+)$/, (view, [vault], query) => topVault(view, parseAddress(vault), parseLimit(query.get('limit')))]
+];
+
+function send(res, status, body) {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Resolve a request against the current view as [status, body]
+ */
+function handle(req, campaign, view) {
+    const url = new URL(req.url, 'http://localhost');
+    
+    if (req.method !== 'GET') {
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+    }
+    
+    const route = ROUTES.find(([pattern]) => pattern.test(url.pathname));
+    if (!route) {
+        throw new HttpError(404, `No endpoint at ${url.pathname}`);
+    }
+    if (!view) {
+        throw new HttpError(503, 'Balances are still being computed');
+    }
+    
+    const [pattern, resolve] = route;
+    const params = pattern.exec(url.pathname).slice(1).map(decodeParam);
+    const data = resolve(view, params, url.searchParams);
+    
+    return [200, { meta: { campaign: campaign.name, block: view.block, updatedAt: view.updatedAt }, data }];
+}
+
+/**
+ * Create the query server; `getView` returns the latest computed view, or null before the first one
+ *
+ * A view is { block, updatedAt, krates, vaults, tokens, events }, as built by the watcher.
+ */
+export function createQueryServer(campaign, getView) {
+    return http.createServer((req, res) => {
+        const view = getView();
+        try {
+            const [status, body] = handle(req, campaign, view);
+            send(res, status, body);
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) {
+                console.error(`Query API error on ${req.url}: ${error.message}`);
+            }
+            send(res, status, { meta: { campaign: campaign.name, block: view?.block ?? null }, error: error.message });
+        }
+    });
+}
+
+/**
+ * Start the query server and resolve once it is listening
+ */
+export function startQueryServer(campaign, getView, { port = DEFAULT_API_PORT, host = DEFAULT_API_HOST } = {}) {
+    const server = createQueryServer(campaign, getView);
+    
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            console.log(`Query API listening on http://${host}:${port}`);
+            resolve(server);
+        });
+    });
+}
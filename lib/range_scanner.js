@@ -0,0 +1,230 @@
+/**
+ * Shared eth_getLogs range scanner used by both fetch scripts.
+ *
+ * Scans a block range in chunks, several at a time, retrying transient errors
+ * with backoff and halving chunks the provider refuses. Unrecoverable ranges
+ * fail the scan with a RangeScanError instead of returning partial data.
+ */
+
+// Provider messages that mean "ask for fewer blocks", not "try again later"
+const RANGE_TOO_LARGE_PATTERNS = [
+    /more than \d+ results/i,
+    /too many results/i,
+    /query returned more than/i,
+    /response size exceeded/i,
+    /block range (is )?too (large|wide)/i,
+    /range (is )?too large/i,
+    /exceed(s|ed)? (maximum|max) block range/i,
+    /log response size/i,
+    /limit exceeded.*(logs|results)/i
+];
+
+export const DEFAULT_SCAN_OPTIONS = {
+    initialChunkSize: 1000,
+    minChunkSize: 1,
+    maxChunkSize: 10000,
+    growAfter: 10,          // successful requests in a row before the chunk grows
+    growFactor: 2,
+    maxRetries: 5,
+    baseDelayMs: 500,
+    maxDelayMs: 30000,
+    progressIntervalMs: 5000
+};
+
+/**
+ * Error thrown when one or more block ranges could not be fetched
+ */
+export class RangeScanError extends Error {
+    constructor(label, failedRanges) {
+        const ranges = failedRanges.map(r => `${r.fromBlock}-${r.toBlock} (${r.reason})`).join(', ');
+        super(`Failed to fetch ${failedRanges.length} block range(s) for ${label}: ${ranges}`);
+        this.name = 'RangeScanError';
+        this.failedRanges = failedRanges;
+    }
+}
+
+/**
+ * Collect every message an ethers error may carry, including the wrapped RPC error
+ */
+function errorText(error) {
+    return [
+        error.message,
+        error.shortMessage,
+        error.error?.message,
+        error.info?.error?.message
+    ].filter(Boolean).join(' | ');
+}
+
+/**
+ * Pick the most specific single message for log output
+ */
+function shortErrorText(error) {
+    return error.error?.message || error.info?.error?.message || error.shortMessage || error.message;
+}
+
+/**
+ * Check whether a getLogs error asks for a smaller block range
+ */
+export function isRangeTooLargeError(error) {
+    const text = errorText(error);
+    return RANGE_TOO_LARGE_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * Exponential backoff with equal jitter: half the delay is fixed, half is random
+ */
+export function backoffDelay(attempt, options = DEFAULT_SCAN_OPTIONS) {
+    const capped = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+    return capped / 2 + Math.random() * capped / 2;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Format a number of seconds as e.g. "45s", "3m 12s" or "1h 02m"
+ */
+export function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    if (total < 60) return `${total}s`;
+    if (total < 3600) return `${Math.floor(total / 60)}m ${String(total % 60).padStart(2, '0')}s`;
+    return `${Math.floor(total / 3600)}h ${String(Math.floor(total % 3600 / 60)).padStart(2, '0')}m`;
+}
+
+/**
+ * Fetch all logs matching a filter between fromBlock and toBlock (inclusive)
+ *
+ * Returns logs sorted by block and log index; `onChunk(logs, fromBlock, toBlock)`
+ * runs after every successful request.
+ */
+export async function scanLogs(provider, filter, fromBlock, toBlock, options = {}) {
+    const opts = { ...DEFAULT_SCAN_OPTIONS, ...options };
+    const label = opts.label || filter.address;
+    const concurrency = opts.concurrency ?? provider.concurrency ?? 1;
+    const totalBlocks = toBlock - fromBlock + 1;
+    
+    let chunkSize = opts.initialChunkSize;
+    let successStreak = 0;
+    let cursor = fromBlock;
+    const pending = [];      // halves of split chunks, scanned before new blocks
+    const chunks = [];
+    const failedRanges = [];
+    const stats = { doneBlocks: 0, requests: 0, retries: 0, splits: 0, logs: 0 };
+    const startedAt = Date.now();
+    let reportedAt = startedAt;
+    
+    console.log(`Total blocks to scan: ${totalBlocks}`);
+    console.log(`Starting with chunk size of ${chunkSize} blocks, ${concurrency} chunk(s) in flight`);
+    
+    const reportProgress = (force = false) => {
+        const now = Date.now();
+        if (!force && now - reportedAt < opts.progressIntervalMs) return;
+        reportedAt = now;
+        
+        const elapsed = Math.max((now - startedAt) / 1000, 0.001);
+        const rate = stats.doneBlocks / elapsed;
+        const percent = (stats.doneBlocks / totalBlocks * 100).toFixed(1);
+        const eta = rate > 0 ? formatDuration((totalBlocks - stats.doneBlocks) / rate) : '?';
+        console.log(`  [${label}] ${percent}% (${stats.doneBlocks}/${totalBlocks} blocks), ${Math.round(rate)} blocks/s, ETA ${eta}, ${stats.logs} logs, ${stats.retries} retries, ${stats.splits} splits`);
+    };
+    
+    const nextRange = () => {
+        if (pending.length > 0) return pending.shift();
+        if (cursor > toBlock) return null;
+        
+        const range = [cursor, Math.min(cursor + chunkSize - 1, toBlock)];
+        cursor = range[1] + 1;
+        return range;
+    };
+    
+    const fetchChunk = async (chunkFromBlock, chunkToBlock) => {
+        let attempt = 0;
+        
+        for (;;) {
+            try {
+                stats.requests++;
+                const logs = await provider.getLogs({ ...filter, fromBlock: chunkFromBlock, toBlock: chunkToBlock });
+                return { outcome: 'ok', logs };
+            } catch (error) {
+                if (isRangeTooLargeError(error)) {
+                    return { outcome: 'split' };
+                }
+                if (attempt >= opts.maxRetries) {
+                    console.error(`  Giving up on blocks ${chunkFromBlock}-${chunkToBlock} after ${attempt + 1} attempts: ${shortErrorText(error)}`);
+                    return { outcome: 'failed', reason: shortErrorText(error) };
+                }
+                
+                const delay = backoffDelay(attempt, opts);
+                console.log(`  Request failed (${shortErrorText(error)}), retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${opts.maxRetries})`);
+                stats.retries++;
+                await sleep(delay);
+                attempt++;
+            }
+        }
+    };
+    
+    const worker = async () => {
+        for (let range = nextRange(); range !== null; range = nextRange()) {
+            const [chunkFromBlock, chunkToBlock] = range;
+            const rangeSize = chunkToBlock - chunkFromBlock + 1;
+            
+            const result = await fetchChunk(chunkFromBlock, chunkToBlock);
+            
+            if (result.outcome === 'split') {
+                // Too many results: scan both halves with a smaller chunk size
+                if (rangeSize <= opts.minChunkSize) {
+                    console.error(`  Blocks ${chunkFromBlock}-${chunkToBlock} exceed provider limits even at minimum chunk size`);
+                    failedRanges.push({ fromBlock: chunkFromBlock, toBlock: chunkToBlock, reason: 'too many results at minimum chunk size' });
+                    stats.doneBlocks += rangeSize;
+                } else {
+                    const half = Math.max(opts.minChunkSize, Math.ceil(rangeSize / 2));
+                    chunkSize = Math.min(chunkSize, half);
+                    successStreak = 0;
+                    stats.splits++;
+                    pending.push([chunkFromBlock, chunkFromBlock + half - 1], [chunkFromBlock + half, chunkToBlock]);
+                    console.log(`  Too many results for blocks ${chunkFromBlock}-${chunkToBlock}, splitting range (chunk size now ${chunkSize})`);
+                }
+                continue;
+            }
+            
+            stats.doneBlocks += rangeSize;
+            
+            if (result.outcome === 'failed') {
+                // Keep scanning so every unrecoverable range is reported at once
+                failedRanges.push({ fromBlock: chunkFromBlock, toBlock: chunkToBlock, reason: result.reason });
+                successStreak = 0;
+                continue;
+            }
+            
+            chunks.push(result.logs);
+            stats.logs += result.logs.length;
+            
+            if (opts.onChunk) {
+                await opts.onChunk(result.logs, chunkFromBlock, chunkToBlock);
+            }
+            
+            successStreak++;
+            if (successStreak >= opts.growAfter && chunkSize < opts.maxChunkSize) {
+                chunkSize = Math.min(opts.maxChunkSize, chunkSize * opts.growFactor);
+                successStreak = 0;
+                console.log(`  ${opts.growAfter} successful requests in a row, growing chunk size to ${chunkSize}`);
+            }
+            
+            reportProgress();
+        }
+    };
+    
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    reportProgress(true);
+    
+    const elapsed = (Date.now() - startedAt) / 1000;
+    console.log(`  [${label}] Scanned ${totalBlocks} blocks in ${formatDuration(elapsed)} with ${stats.requests} requests`);
+    
+    if (failedRanges.length > 0) {
+        throw new RangeScanError(label, failedRanges.sort((a, b) => a.fromBlock - b.fromBlock));
+    }
+    
+    // Chunks complete in any order; hand back logs in block and log order
+    return chunks.flat().sort((a, b) => a.blockNumber - b.blockNumber || (a.index ?? a.logIndex) - (b.index ?? b.logIndex));
+}
@@ -0,0 +1,77 @@
+/**
+ * Token-bucket rate limiting and concurrency limits for RPC requests.
+ */
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a token bucket allowing `ratePerSecond` requests on average and bursts of `burst`
+ *
+ * `take()` resolves once a token is available, in the order callers asked. A rate of 0 means unlimited.
+ */
+export function createTokenBucket(ratePerSecond, burst = Math.max(1, ratePerSecond)) {
+    if (!ratePerSecond) {
+        return { take: async () => {} };
+    }
+    
+    let tokens = burst;
+    let refilledAt = Date.now();
+    let queue = Promise.resolve();
+    
+    const acquire = async () => {
+        for (;;) {
+            const now = Date.now();
+            tokens = Math.min(burst, tokens + (now - refilledAt) / 1000 * ratePerSecond);
+            refilledAt = now;
+            
+            if (tokens >= 1) {
+                tokens -= 1;
+                return;
+            }
+            await sleep((1 - tokens) / ratePerSecond * 1000);
+        }
+    };
+    
+    return {
+        take: () => {
+            queue = queue.then(acquire);
+            return queue;
+        }
+    };
+}
+
+/**
+ * Create a limit of `limit` tasks running at once
+ *
+ * `run(task)` starts the task as soon as a slot is free and resolves with its result.
+ */
+export function createConcurrencyLimit(limit) {
+    let running = 0;
+    const waiting = [];
+    
+    const release = () => {
+        running--;
+        if (waiting.length > 0) {
+            running++;
+            waiting.shift()();
+        }
+    };
+    
+    return {
+        run: async task => {
+            if (running < limit) {
+                running++;
+            } else {
+                await new Promise(resolve => waiting.push(resolve));
+            }
+            
+            try {
+                return await task();
+            } finally {
+                release();
+            }
+        }
+    };
+}
@@ -0,0 +1,255 @@
+/**
+ * RPC pool: one ethers provider backed by several JSON-RPC endpoints.
+ *
+ * Requests are spread round-robin over rate-limited endpoints, failing
+ * endpoints are put on cooldown, and quorum mode cross-checks eth_getLogs
+ * between endpoints.
+ */
+
+import { ethers } from 'ethers';
+import { createConcurrencyLimit, createTokenBucket } from './rate_limiter.js';
+
+// eth_getLogs requests in flight at once, across every scan sharing the pool
+export const DEFAULT_CONCURRENCY = 4;
+
+const REQUEST_TIMEOUT_MS = 30000;
+const BASE_COOLDOWN_MS = 5000;
+const MAX_COOLDOWN_MS = 5 * 60 * 1000;
+
+// JSON-RPC errors that mean "this endpoint is throttling us", not "this request is bad"
+const RATE_LIMIT_PATTERN = /rate.?limit|too many requests|exceeded.*(capacity|quota|compute units)/i;
+
+/**
+ * Error thrown when endpoints return different logs and no majority can be formed
+ */
+export class QuorumError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QuorumError';
+    }
+}
+
+/**
+ * The part of an endpoint URL that is safe to log (API keys usually sit in the path)
+ */
+function endpointLabel(url) {
+    try {
+        return new URL(url).host;
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Create one pool endpoint with its own connection and rate limit
+ */
+export function createEndpoint(url, maxRps) {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = REQUEST_TIMEOUT_MS;
+    // Throttled requests fail over to another endpoint instead of being retried here
+    request.setThrottleParams({ maxAttempts: 1 });
+    
+    return {
+        url,
+        label: endpointLabel(url),
+        provider: new ethers.JsonRpcProvider(request, undefined, { batchMaxCount: 1, staticNetwork: true }),
+        bucket: createTokenBucket(maxRps),
+        failures: 0,
+        downUntil: 0
+    };
+}
+
+/**
+ * Send one raw JSON-RPC payload to an endpoint, throwing on transport errors and rate limiting
+ *
+ * The request waits for both the pool-wide and the endpoint's own rate limit.
+ */
+async function sendToEndpoint(pool, endpoint, payload) {
+    await pool.bucket.take();
+    await endpoint.bucket.take();
+    const results = await endpoint.provider._send(payload);
+    
+    const rateLimited = results.find(result => result.error
+        && (result.error.code === 429 || RATE_LIMIT_PATTERN.test(result.error.message || '')));
+    if (rateLimited) {
+        throw new Error(`rate limited: ${rateLimited.error.message}`);
+    }
+    
+    return results;
+}
+
+function markFailed(endpoint, error) {
+    endpoint.failures++;
+    const cooldown = Math.min(MAX_COOLDOWN_MS, BASE_COOLDOWN_MS * 2 ** (endpoint.failures - 1));
+    endpoint.downUntil = Date.now() + cooldown;
+    console.log(`  RPC ${endpoint.label} failed (${error.shortMessage || error.message}); skipping it for ${cooldown / 1000}s`);
+}
+
+function markHealthy(endpoint) {
+    endpoint.failures = 0;
+    endpoint.downUntil = 0;
+}
+
+/**
+ * Endpoints in the order to try them: healthy ones round-robin, then the ones cooling down
+ */
+function candidates(pool) {
+    const now = Date.now();
+    const start = pool.next++ % pool.endpoints.length;
+    const rotated = [...pool.endpoints.slice(start), ...pool.endpoints.slice(0, start)];
+    
+    const healthy = rotated.filter(endpoint => endpoint.downUntil <= now);
+    const cooling = rotated.filter(endpoint => endpoint.downUntil > now).sort((a, b) => a.downUntil - b.downUntil);
+    return [...healthy, ...cooling];
+}
+
+/**
+ * Take answers from the endpoints in order until `count` of them have answered
+ */
+async function collectAnswers(pool, endpoints, payload, count) {
+    const answers = [];
+    let lastError = null;
+    
+    for (const endpoint of endpoints) {
+        if (answers.length === count) break;
+        try {
+            answers.push({ endpoint, results: await sendToEndpoint(pool, endpoint, payload) });
+            markHealthy(endpoint);
+        } catch (error) {
+            markFailed(endpoint, error);
+            lastError = error;
+        }
+    }
+    
+    return { answers, lastError };
+}
+
+/**
+ * A digest of a getLogs answer, independent of the order the endpoint returned the logs in
+ */
+function logsDigest(results) {
+    const [result] = results;
+    if (result.error) return `error:${result.error.code}`;
+    
+    const logs = result.result.map(log => [
+        Number(log.blockNumber),
+        Number(log.logIndex),
+        log.blockHash,
+        log.transactionHash,
+        log.address.toLowerCase(),
+        log.topics.join(','),
+        log.data
+    ].join(':')).sort();
+    
+    return `${logs.length}:${ethers.id(logs.join('\n'))}`;
+}
+
+function describeAnswer(answer) {
+    const [result] = answer.results;
+    return result.error
+        ? `${answer.endpoint.label} returned an error (${result.error.message})`
+        : `${answer.endpoint.label} returned ${result.result.length} logs`;
+}
+
+/**
+ * Answer an eth_getLogs from two agreeing endpoints, asking a third when they differ
+ */
+async function sendWithQuorum(pool, payload) {
+    const ordered = candidates(pool);
+    const { answers, lastError } = await collectAnswers(pool, ordered, payload, 2);
+    const [{ fromBlock, toBlock }] = payload.params;
+    const range = `blocks ${Number(fromBlock)}-${Number(toBlock)}`;
+    
+    if (answers.length < 2) {
+        throw new QuorumError(`Quorum needs two endpoints for ${range}, ${answers.length} answered${lastError ? ` (${lastError.message})` : ''}`);
+    }
+    
+    const [first, second] = answers;
+    if (logsDigest(first.results) === logsDigest(second.results)) {
+        return first.results;
+    }
+    
+    console.warn(`Warning: RPC answers differ for ${range}: ${describeAnswer(first)}, ${describeAnswer(second)}`);
+    
+    // A third endpoint decides which answer to trust
+    const remaining = ordered.filter(endpoint => endpoint !== first.endpoint && endpoint !== second.endpoint);
+    const { answers: [third] } = await collectAnswers(pool, remaining, payload, 1);
+    if (third) {
+        const digest = logsDigest(third.results);
+        const majority = [first, second].find(answer => logsDigest(answer.results) === digest);
+        if (majority) {
+            const outvoted = majority === first ? second : first;
+            console.warn(`Warning: ${third.endpoint.label} agrees with ${majority.endpoint.label}; ignoring ${outvoted.endpoint.label} for ${range}`);
+            markFailed(outvoted.endpoint, new Error('outvoted in quorum'));
+            return majority.results;
+        }
+    }
+    
+    throw new QuorumError(`RPC endpoints disagree on ${range} and no majority could be formed: ${[first, second, third].filter(Boolean).map(describeAnswer).join(', ')}`);
+}
+
+/**
+ * Send a payload to the first endpoint that answers
+ */
+async function sendWithFailover(pool, payload) {
+    let lastError = null;
+    
+    for (const endpoint of candidates(pool)) {
+        try {
+            const results = await sendToEndpoint(pool, endpoint, payload);
+            markHealthy(endpoint);
+            return results;
+        } catch (error) {
+            markFailed(endpoint, error);
+            lastError = error;
+        }
+    }
+    
+    throw lastError;
+}
+
+/**
+ * ethers provider that routes every JSON-RPC request through a pool of endpoints
+ */
+class RpcPoolProvider extends ethers.JsonRpcApiProvider {
+    #pool;
+    
+    constructor(pool, network) {
+        super(network, { batchMaxCount: 1, staticNetwork: network });
+        this.#pool = pool;
+    }
+    
+    /**
+     * How many eth_getLogs requests the pool runs at once, across every scan
+     */
+    get concurrency() {
+        return this.#pool.concurrency;
+    }
+    
+    async _send(payload) {
+        const pool = this.#pool;
+        if (payload.method !== 'eth_getLogs') {
+            return sendWithFailover(pool, payload);
+        }
+        return pool.scanSlots.run(() => pool.quorum ? sendWithQuorum(pool, payload) : sendWithFailover(pool, payload));
+    }
+    
+    destroy() {
+        this.#pool.endpoints.forEach(endpoint => endpoint.provider.destroy());
+        super.destroy();
+    }
+}
+
+/**
+ * Create a provider for `network` over already-created endpoints
+ */
+export function createRpcPool(endpoints, network, { quorum = false, maxTotalRps, concurrency = DEFAULT_CONCURRENCY } = {}) {
+    return new RpcPoolProvider({
+        endpoints,
+        quorum,
+        concurrency,
+        bucket: createTokenBucket(maxTotalRps),
+        scanSlots: createConcurrencyLimit(concurrency),
+        next: 0
+    }, network);
+}
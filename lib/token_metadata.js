@@ -0,0 +1,117 @@
+/**
+ * Token metadata: symbol, decimals and a vault's underlying asset, read via
+ * eth_call and cached in a local JSON file so each token is only queried once.
+ */
+
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { chainCachePath } from './provider.js';
+
+export const DEFAULT_TOKEN_CACHE = '.cache/tokens.json';
+
+const TOKEN_ABI = [
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function asset() view returns (address)'
+];
+
+// Some older tokens (e.g. MKR) return symbol() as bytes32 instead of string
+const BYTES32_SYMBOL_ABI = ['function symbol() view returns (bytes32)'];
+
+function loadCache(cacheFile) {
+    if (!fs.existsSync(cacheFile)) return {};
+    return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+}
+
+function saveCache(cacheFile, cache) {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify(cache, null, 2));
+}
+
+async function readSymbol(provider, address) {
+    try {
+        return await new ethers.Contract(address, TOKEN_ABI, provider).symbol();
+    } catch (error) {
+        const raw = await new ethers.Contract(address, BYTES32_SYMBOL_ABI, provider).symbol();
+        return ethers.decodeBytes32String(raw);
+    }
+}
+
+/**
+ * Resolve symbol and decimals for a list of token addresses, keyed by checksummed address
+ */
+export async function getTokenMetadata(provider, addresses, cacheFile = DEFAULT_TOKEN_CACHE) {
+    cacheFile = await chainCachePath(provider, cacheFile);
+    const cache = loadCache(cacheFile);
+    const tokens = {};
+    let updated = false;
+    
+    for (const rawAddress of new Set(addresses.map(a => ethers.getAddress(a)))) {
+        const key = rawAddress.toLowerCase();
+        
+        if (!cache[key]?.symbol) {
+            const token = new ethers.Contract(rawAddress, TOKEN_ABI, provider);
+            const [symbol, decimals] = await Promise.all([
+                readSymbol(provider, rawAddress),
+                token.decimals()
+            ]);
+            
+            cache[key] = { ...cache[key], symbol, decimals: Number(decimals) };
+            updated = true;
+            console.log(`Resolved token ${rawAddress}: ${symbol} (${decimals} decimals)`);
+        }
+        
+        tokens[rawAddress] = { address: rawAddress, symbol: cache[key].symbol, decimals: cache[key].decimals };
+    }
+    
+    if (updated) {
+        saveCache(cacheFile, cache);
+    }
+    
+    return tokens;
+}
+
+/**
+ * Resolve an ERC-4626 vault's underlying asset() address, cached alongside token metadata
+ */
+export async function getVaultAsset(provider, vaultAddress, cacheFile = DEFAULT_TOKEN_CACHE) {
+    cacheFile = await chainCachePath(provider, cacheFile);
+    const cache = loadCache(cacheFile);
+    const key = vaultAddress.toLowerCase();
+    
+    if (!cache[key]?.asset) {
+        const asset = await new ethers.Contract(vaultAddress, TOKEN_ABI, provider).asset();
+        cache[key] = { ...cache[key], asset };
+        saveCache(cacheFile, cache);
+    }
+    
+    return ethers.getAddress(cache[key].asset);
+}
+
+/**
+ * Format a base-unit integer amount as an exact decimal string (no floating point)
+ */
+export function formatAmount(amount, decimals) {
+    const formatted = ethers.formatUnits(BigInt(amount), decimals);
+    // formatUnits always keeps one fractional digit; drop a bare ".0"
+    return formatted.endsWith('.0') ? formatted.slice(0, -2) : formatted;
+}
+
+/**
+ * Key of a token in metadata merged across chains, where one address may be a different token on each
+ */
+export function chainTokenKey(chainId, address) {
+    return `${chainId}:${address}`;
+}
+
+/**
+ * CSV columns for an amount of a token: symbol, decimals and formatted amount
+ *
+ * Unknown tokens get empty columns so rows stay aligned.
+ */
+export function tokenColumns(tokens, asset, amount) {
+    const token = tokens[asset];
+    if (!token) return ',,';
+    return `${token.symbol},${token.decimals},${formatAmount(amount, token.decimals)}`;
+}
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Script to reconcile ledger-derived vault balances against on-chain state
+ *
+ * Compares each holder's ledger shares with balanceOf, and the ledger totals
+ * with totalSupply and totalAssets, at the snapshot block. Any mismatch above
+ * the tolerance fails the run.
+ */
+
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { buildShareLedger, getSharePrice, loadVaultEvents, sharesToAssets } from './fetch_vault_balance.js';
+import { writeFileAtomic } from './lib/csv.js';
+import { resolveToBlock } from './lib/finality.js';
+import { getProvider } from './lib/provider.js';
+
+// balanceOf calls issued concurrently; the pool spreads them over its endpoints within their rate limits
+const CALL_BATCH_SIZE = 50;
+
+/**
+ * Read balanceOf for many holders at a block
+ */
+async function getShareBalances(provider, vaultAddress, holders, blockTag) {
+    const vault = new ethers.Contract(vaultAddress, ['function balanceOf(address) view returns (uint256)'], provider);
+    const balances = new Map();
+    
+    for (let i = 0; i < holders.length; i += CALL_BATCH_SIZE) {
+        const batch = holders.slice(i, i + CALL_BATCH_SIZE);
+        const results = await Promise.all(batch.map(holder => vault.balanceOf(holder, { blockTag })));
+        batch.forEach((holder, j) => balances.set(holder, results[j]));
+    }
+    
+    return balances;
+}
+
+function check(vault, name, subject, expected, actual, tolerance) {
+    const difference = actual - expected;
+    const absDifference = difference < 0n ? -difference : difference;
+    
+    return {
+        vault,
+        check: name,
+        subject,
+        expected,
+        actual,
+        difference,
+        status: absDifference > tolerance ? 'mismatch' : 'ok'
+    };
+}
+
+/**
+ * Compare a vault's share ledger with on-chain balances at the snapshot block
+ */
+export async function reconcileVault(provider, vaultAddress, formattedEvents, snapshotBlock, tolerance = 0n) {
+    const ledger = buildShareLedger(formattedEvents.filter(event => event.blockNumber <= snapshotBlock));
+    const holders = [...ledger.balances.keys()];
+    
+    const onchain = await getShareBalances(provider, vaultAddress, holders, snapshotBlock);
+    const sharePrice = await getSharePrice(provider, vaultAddress, snapshotBlock);
+    const totalAssets = await new ethers.Contract(vaultAddress, ['function totalAssets() view returns (uint256)'], provider)
+        .totalAssets({ blockTag: snapshotBlock });
+    
+    const results = [];
+    let ledgerShares = 0n;
+    let ledgerAssets = 0n;
+    let positiveHolders = 0n;
+    
+    for (const holder of holders) {
+        const shares = ledger.balances.get(holder);
+        results.push(check(vaultAddress, 'balanceOf', holder, onchain.get(holder), shares, tolerance));
+        
+        ledgerShares += shares;
+        if (shares > 0n) {
+            ledgerAssets += sharesToAssets(shares, sharePrice);
+            positiveHolders++;
+        }
+    }
+    
+    results.push(check(vaultAddress, 'totalSupply', vaultAddress, sharePrice.totalSupply, ledgerShares, tolerance));
+    // Each holder's position is rounded down, so allow one base unit per holder
+    results.push(check(vaultAddress, 'totalAssets', vaultAddress, totalAssets, ledgerAssets, tolerance + positiveHolders));
+    
+    return results;
+}
+
+/**
+ * Save the reconciliation report to CSV file
+ */
+export function saveReconciliationToFile(results, filename) {
+    try {
+        const csvHeader = 'vault,check,subject,expected,actual,difference,status\n';
+        
+        const csvRows = results.map(entry => 
+            `${entry.vault},${entry.check},${entry.subject},${entry.expected},${entry.actual},${entry.difference},${entry.status}`
+        ).join('\n');
+        
+        const csvContent = csvHeader + csvRows;
+        
+        writeFileAtomic(filename, csvContent);
+        console.log(`Saved ${results.length} reconciliation checks to ${filename}`);
+    } catch (error) {
+        console.error(`Error saving reconciliation report to file: ${error.message}`);
+    }
+}
+
+/**
+ * Reconcile every vault in a campaign and set a failing exit code on any mismatch
+ *
+ * Returns true when every check passed.
+ */
+export async function runReconcile(campaign, { tolerance = '0' } = {}) {
+    if (!/^\d+$/.test(tolerance)) {
+        throw new Error(`Invalid tolerance "${tolerance}": expected an integer amount in base units`);
+    }
+    
+    const provider = await getProvider(campaign.rpcUrls, campaign.rpcPool, campaign.chainId);
+    
+    const { addresses, fromBlock, toBlock } = campaign.vaults;
+    const snapshotBlock = await resolveToBlock(provider, toBlock, campaign.finality);
+    
+    const results = [];
+    
+    for (const vaultAddress of addresses) {
+        console.log(`\n=== Reconciling vault ${vaultAddress} at block ${snapshotBlock} ===`);
+        
+        const events = await loadVaultEvents(provider, vaultAddress, fromBlock, snapshotBlock, null, campaign.logSource);
+        const vaultResults = await reconcileVault(provider, vaultAddress, events, snapshotBlock, BigInt(tolerance));
+        
+        for (const entry of vaultResults.filter(result => result.status === 'mismatch')) {
+            console.log(`  MISMATCH ${entry.check} ${entry.subject}: on-chain ${entry.expected}, ledger ${entry.actual} (difference ${entry.difference})`);
+        }
+        console.log(`  ${vaultResults.filter(result => result.status === 'ok').length}/${vaultResults.length} checks passed`);
+        
+        results.push(...vaultResults);
+    }
+    
+    fs.mkdirSync(campaign.outputDir, { recursive: true });
+    saveReconciliationToFile(results, path.join(campaign.outputDir, `reconciliation-${snapshotBlock}.csv`));
+    
+    const mismatches = results.filter(result => result.status === 'mismatch').length;
+    
+    console.log("\nReconciliation Summary:");
+    console.log(`Total checks: ${results.length}`);
+    console.log(`Mismatches: ${mismatches}`);
+    console.log(mismatches === 0 ? "PASS" : "FAIL");
+    
+    if (mismatches > 0) {
+        process.exitCode = 1;
+    }
+    
+    return mismatches === 0;
+}
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * Script to produce point-in-time snapshots of krates totals and vault balances
+ *
+ * Each source is scanned once up to the last snapshot block; every snapshot
+ * is then computed from that single event history.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { groupEligibleDeposits, loadKratesEvents, saveGroupedEventsToFile } from './fetch_krates_events.js';
+import { loadVaultEvents, saveVaultSnapshot } from './fetch_vault_balance.js';
+import { getAddressLabels, labelsEnabled } from './lib/address_labels.js';
+import { loadAttributionRules } from './lib/attribution.js';
+import { findBlockByTimestamp, getBlockTimestamps, resolveBlockSpec } from './lib/block_times.js';
+import { ConfigError } from './lib/config.js';
+import { loadEligibilityRules, saveAuditToFile } from './lib/eligibility.js';
+import { loadPriceTable, priceRecords } from './lib/pricing.js';
+import { getProvider } from './lib/provider.js';
+import { getTokenMetadata } from './lib/token_metadata.js';
+
+const INTERVAL_UNITS = {
+    m: 60,
+    h: 60 * 60,
+    d: 24 * 60 * 60,
+    w: 7 * 24 * 60 * 60
+};
+
+/**
+ * Parse an interval such as "1d", "12h", "30m", "1w" (seconds) or "7200b" (blocks)
+ */
+export function parseInterval(value) {
+    const match = /^(\d+)([mhdwb])$/.exec(value);
+    if (!match || Number(match[1]) === 0) {
+        throw new ConfigError(`Invalid interval "${value}": expected e.g. 1d, 12h, 30m, 1w or 7200b`);
+    }
+    
+    const amount = Number(match[1]);
+    return match[2] === 'b'
+        ? { blocks: amount }
+        : { seconds: amount * INTERVAL_UNITS[match[2]] };
+}
+
+/**
+ * Resolve the list of snapshot blocks from --at specs and/or an --every series
+ */
+export async function resolveSnapshotBlocks(provider, { at = [], every, since, until = 'latest', finality }) {
+    const blocks = [];
+    
+    for (const spec of at) {
+        blocks.push(await resolveBlockSpec(provider, spec, finality));
+    }
+    
+    if (every) {
+        if (since === undefined) {
+            throw new ConfigError('--every needs --since to know where the series starts');
+        }
+        
+        const interval = parseInterval(every);
+        const startBlock = await resolveBlockSpec(provider, since, finality);
+        const endBlock = await resolveBlockSpec(provider, until, finality);
+        
+        if (endBlock < startBlock) {
+            throw new ConfigError(`Snapshot series is inverted (since block ${startBlock} > until block ${endBlock})`);
+        }
+        
+        if (interval.blocks) {
+            for (let block = startBlock; block < endBlock; block += interval.blocks) {
+                blocks.push(block);
+            }
+        } else {
+            // Step in wall-clock time and resolve each step to a block
+            const timestamps = await getBlockTimestamps(provider, [startBlock, endBlock]);
+            let previous = startBlock;
+            for (let time = timestamps[startBlock]; time < timestamps[endBlock]; time += interval.seconds) {
+                previous = await findBlockByTimestamp(provider, time, { lo: previous, hi: endBlock });
+                blocks.push(previous);
+            }
+        }
+        blocks.push(endBlock);
+    }
+    
+    if (blocks.length === 0) {
+        throw new ConfigError('No snapshots requested: pass --at and/or --every');
+    }
+    
+    return [...new Set(blocks)].sort((a, b) => a - b);
+}
+
+/**
+ * Take krates and vault snapshots for a campaign at every requested block
+ */
+export async function runSnapshots(campaign, options) {
+    // Get provider connection
+    const provider = await getProvider(campaign.rpcUrls, campaign.rpcPool, campaign.chainId);
+    
+    const snapshotBlocks = await resolveSnapshotBlocks(provider, { ...options, finality: campaign.finality });
+    const lastBlock = snapshotBlocks.at(-1);
+    console.log(`Taking ${snapshotBlocks.length} snapshot(s) at blocks: ${snapshotBlocks.join(', ')}`);
+    
+    fs.mkdirSync(campaign.outputDir, { recursive: true });
+    const priceTable = campaign.prices ? loadPriceTable(campaign.prices) : null;
+    
+    if (campaign.krates) {
+        console.log(`\n=== Krates snapshots for ${campaign.krates.address} ===`);
+        
+        // One scan up to the last snapshot block serves every snapshot
+        let events = await loadKratesEvents(provider, {
+            ...campaign,
+            krates: { ...campaign.krates, toBlock: lastBlock }
+        });
+        const tokens = await getTokenMetadata(provider, events.map(event => event.asset));
+        
+        if (priceTable) {
+            const timestamps = await getBlockTimestamps(provider, events.map(event => event.blockNumber));
+            events = priceRecords(events, { table: priceTable, tokens, timestamps });
+        }
+        
+        const rules = loadEligibilityRules(campaign, 'krates');
+        for (const snapshotBlock of snapshotBlocks) {
+            const included = events.filter(event => event.blockNumber <= snapshotBlock);
+            const labels = labelsEnabled(campaign)
+                ? await getAddressLabels(provider, included.map(event => event.user), snapshotBlock)
+                : null;
+            const { grouped, audit } = groupEligibleDeposits(included, rules, snapshotBlock, labels);
+            saveGroupedEventsToFile(grouped, path.join(campaign.outputDir, `kraters_grouped-${snapshotBlock}.csv`), tokens);
+            saveAuditToFile(audit, path.join(campaign.outputDir, `eligibility_audit_krates-${snapshotBlock}.csv`));
+        }
+    }
+    
+    if (campaign.vaults) {
+        const audits = new Map(snapshotBlocks.map(block => [block, []]));
+        
+        for (const vaultAddress of campaign.vaults.addresses) {
+            console.log(`\n=== Vault snapshots for ${vaultAddress} ===`);
+            
+            const events = await loadVaultEvents(provider, vaultAddress, campaign.vaults.fromBlock, lastBlock, loadAttributionRules(campaign), campaign.logSource);
+            
+            for (const snapshotBlock of snapshotBlocks) {
+                const { audit } = await saveVaultSnapshot(provider, campaign, vaultAddress, events, snapshotBlock, { priceTable });
+                audits.get(snapshotBlock).push(...audit);
+            }
+        }
+        
+        for (const [snapshotBlock, audit] of audits) {
+            saveAuditToFile(audit, path.join(campaign.outputDir, `eligibility_audit_vaults-${snapshotBlock}.csv`));
+        }
+    }
+    
+    console.log(`\n=== Finished ${snapshotBlocks.length} snapshot(s) ===`);
+}
@@ -0,0 +1,83 @@
+import assert from 'assert/strict';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import { after, before, test } from 'node:test';
+import os from 'os';
+import path from 'path';
+import { buildShareLedger } from '../fetch_vault_balance.js';
+import { attributeEvents } from '../lib/attribution.js';
+
+const ROUTER = '0x1111111254EEB25477B68fb85Ed929f73A960582';
+const ALICE = '0xaAaAaAaaAaAaAaaAaAAAAAAAAaaaAaAaAaaAaaAa';
+const BOB = '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB';
+
+const RULES = { routers: new Set([ROUTER.toLowerCase()]), labels: new Set() };
+const VAULT_FIELDS = { recipient: 'receiver', linked: ['owner', 'caller'], eventTypes: ['ShareTransfer', 'Deposit'] };
+
+// Each transaction is sent by the address in its hash
+const provider = {
+    async getNetwork() {
+        return { chainId: BigInt(1) };
+    },
+    async getTransaction(hash) {
+        return { from: hash === '0x01' ? ALICE : BOB };
+    }
+};
+
+function transfer(blockNumber, transactionHash, from, to, shares) {
+    return { eventType: 'ShareTransfer', blockNumber, transactionHash, caller: from, owner: '', receiver: to, shares: String(shares) };
+}
+
+function positive(ledger) {
+    return Object.fromEntries([...ledger.balances].filter(([, shares]) => shares > 0n));
+}
+
+function unattributed(events) {
+    return events.map(({ originals, ...event }) => ({ ...event, ...originals }));
+}
+
+let workDir;
+const startDir = process.cwd();
+
+before(() => {
+    // The transaction sender cache lives under the working directory
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attribution-test-'));
+    process.chdir(workDir);
+});
+
+after(() => {
+    process.chdir(startDir);
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('a zap that mints to itself and forwards to its user credits the user once', async () => {
+    const events = await attributeEvents(provider, [
+        transfer(1, '0x01', ethers.ZeroAddress, ROUTER, 100),
+        transfer(1, '0x01', ROUTER, ALICE, 100)
+    ], RULES, VAULT_FIELDS, 1);
+    
+    const ledger = buildShareLedger(events);
+    
+    assert.deepEqual(positive(ledger), { [ALICE]: 100n });
+    assert.equal(ledger.balances.has(ROUTER), false);
+    assert.deepEqual(positive(buildShareLedger(unattributed(events))), { [ALICE]: 100n });
+});
+
+test('a router that holds shares and later sends them on debits the holder it received them for', async () => {
+    const events = await attributeEvents(provider, [
+        transfer(1, '0x01', ethers.ZeroAddress, ROUTER, 100),
+        transfer(2, '0x02', ROUTER, BOB, 40),
+        transfer(3, '0x02', ROUTER, ethers.ZeroAddress, 10)
+    ], RULES, VAULT_FIELDS, 3);
+    
+    assert.deepEqual(events[0].originals, { receiver: ROUTER });
+    assert.equal(events[0].receiver, ALICE);
+    // The router sending on keeps its own address in the event
+    assert.equal(events[1].caller, ROUTER);
+    
+    const ledger = buildShareLedger(events);
+    
+    assert.deepEqual(positive(ledger), { [ALICE]: 50n, [BOB]: 40n });
+    assert.equal(ledger.balances.has(ROUTER), false);
+    assert.equal(ledger.totalBurned, 10n);
+});
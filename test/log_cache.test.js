@@ -0,0 +1,131 @@
+import assert from 'assert/strict';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import { mock, test } from 'node:test';
+import os from 'os';
+import path from 'path';
+import { cachePaths, fetchLogsCached, loadScanState } from '../lib/log_cache.js';
+import { RangeScanError } from '../lib/range_scanner.js';
+
+const ADDRESS = '0x7B5A0182E400b241b317e781a4e9dEdFc1429822';
+const FILTER = { address: ADDRESS, topics: [ethers.id('Transfer(address,address,uint256)')] };
+
+// Fast retries and no periodic progress lines
+const SCAN_OPTIONS = { concurrency: 1, initialChunkSize: 2, maxRetries: 1, baseDelayMs: 1, maxDelayMs: 1, progressIntervalMs: 60000 };
+
+/**
+ * An in-memory chain with one log per block, answering getLogs like an RPC node
+ *
+ * `failing` blocks make every request covering them fail; a request for more
+ * than `maxResults` logs is refused the way providers do. Setting `reorgFrom`
+ * replaces that block and every later one with a block of another hash.
+ */
+function fakeProvider({ head = 10, failing = [], maxResults = Infinity } = {}) {
+    return {
+        requests: [],
+        failing: new Set(failing),
+        reorgFrom: Infinity,
+        hash(block) {
+            return ethers.id(block >= this.reorgFrom ? `reorged block ${block}` : `block ${block}`);
+        },
+        async getNetwork() {
+            return { chainId: BigInt(1) };
+        },
+        async getBlock(block) {
+            return block <= head ? { number: block, hash: this.hash(block) } : null;
+        },
+        async getLogs({ fromBlock, toBlock }) {
+            this.requests.push([fromBlock, toBlock]);
+            for (let block = fromBlock; block <= toBlock; block++) {
+                if (this.failing.has(block)) throw new Error('internal error');
+            }
+            
+            const found = [];
+            for (let block = Math.max(fromBlock, 1); block <= Math.min(toBlock, head); block++) {
+                found.push({
+                    blockNumber: block,
+                    blockHash: this.hash(block),
+                    transactionHash: ethers.id(`tx ${block}`),
+                    transactionIndex: 0,
+                    index: 0,
+                    address: ADDRESS,
+                    topics: FILTER.topics,
+                    data: '0x'
+                });
+            }
+            if (found.length > maxResults) {
+                throw new Error(`query returned more than ${maxResults} results`);
+            }
+            return found;
+        }
+    };
+}
+
+function tempCacheDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'log-cache-test-'));
+}
+
+test('fetchLogsCached resumes an interrupted scan from the recorded ranges', async () => {
+    const cacheDir = tempCacheDir();
+    const provider = fakeProvider({ failing: [5] });
+    
+    await assert.rejects(fetchLogsCached(provider, FILTER, 1, 10, { ...SCAN_OPTIONS, cacheDir }), RangeScanError);
+    assert.deepEqual(loadScanState(cachePaths(FILTER, cacheDir)).ranges, [[1, 4], [7, 10]]);
+    
+    provider.failing.clear();
+    provider.requests = [];
+    const logs = await fetchLogsCached(provider, FILTER, 1, 10, { ...SCAN_OPTIONS, cacheDir });
+    
+    assert.deepEqual(provider.requests, [[5, 6]]);
+    assert.deepEqual(logs.map(log => log.blockNumber), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.deepEqual(loadScanState(cachePaths(FILTER, cacheDir)).ranges, [[1, 10]]);
+    
+    // A refresh with nothing new asks the provider for nothing
+    provider.requests = [];
+    await fetchLogsCached(provider, FILTER, 1, 10, { ...SCAN_OPTIONS, cacheDir });
+    assert.deepEqual(provider.requests, []);
+    
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+test('fetchLogsCached writes nothing for a chunk whose end block is unknown', async () => {
+    const cacheDir = tempCacheDir();
+    const provider = fakeProvider({ head: 10 });
+    
+    await assert.rejects(fetchLogsCached(provider, FILTER, 11, 12, { ...SCAN_OPTIONS, cacheDir }), /Block 12 not found/);
+    
+    const paths = cachePaths(FILTER, cacheDir);
+    assert.equal(fs.existsSync(paths.logs), false);
+    assert.equal(fs.existsSync(paths.ranges), false);
+    
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+test('fetchLogsCached rolls back to the last matching checkpoint and rescans after a reorg', async () => {
+    const cacheDir = tempCacheDir();
+    const provider = fakeProvider();
+    const paths = cachePaths(FILTER, cacheDir);
+    
+    await fetchLogsCached(provider, FILTER, 1, 10, { ...SCAN_OPTIONS, cacheDir });
+    assert.deepEqual(loadScanState(paths).checkpoints.map(([block]) => block), [2, 4, 6, 8, 10]);
+    
+    // Blocks 7 onwards are replaced: the checkpoints at 8 and 10 no longer match
+    provider.reorgFrom = 7;
+    provider.requests = [];
+    const warn = mock.method(console, 'warn', () => {});
+    const logs = await fetchLogsCached(provider, FILTER, 1, 10, { ...SCAN_OPTIONS, cacheDir });
+    warn.mock.restore();
+    
+    assert.match(warn.mock.calls[0].arguments[0], /Reorg detected: hash of block 8 changed; rolling back .* to block 6/);
+    assert.deepEqual(provider.requests, [[7, 8], [9, 10]]);
+    assert.deepEqual(logs.map(log => log.blockNumber), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.deepEqual(logs.map(log => log.blockHash), logs.map(log => provider.hash(log.blockNumber)));
+    
+    // The stale logs past block 6 were cut from the file, not left next to the rescanned ones
+    const cached = fs.readFileSync(paths.logs, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(cached.map(log => log.blockNumber), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.deepEqual(loadScanState(paths).ranges, [[1, 10]]);
+    assert.deepEqual(loadScanState(paths).checkpoints.map(([block]) => block), [2, 4, 6, 8, 10]);
+    
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+});
@@ -0,0 +1,175 @@
+import assert from 'assert/strict';
+import { ethers } from 'ethers';
+import http from 'http';
+import { after, before, beforeEach, test } from 'node:test';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getLogSource } from '../lib/log_sources.js';
+import { RangeScanError } from '../lib/range_scanner.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const VAULT = '0x7B5A0182E400b241b317e781a4e9dEdFc1429822';
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const FILTER = { address: VAULT, topics: [TRANSFER_TOPIC] };
+
+/**
+ * Transfer logs as an Etherscan-compatible API returns them: hex quantities
+ * and "0x" for a zero index. `counts` is the number of logs in each block.
+ */
+function explorerLogs(counts) {
+    return Object.entries(counts).flatMap(([block, count]) => Array.from({ length: count }, (_, i) => ({
+        address: VAULT.toLowerCase(),
+        topics: [TRANSFER_TOPIC],
+        data: '0x',
+        blockNumber: ethers.toQuantity(Number(block)),
+        blockHash: ethers.id(`block ${block}`),
+        timeStamp: '0x6553f100',
+        transactionHash: ethers.id(`tx ${block}-${i}`),
+        transactionIndex: '0x',
+        logIndex: i === 0 ? '0x' : ethers.toQuantity(i)
+    })));
+}
+
+/**
+ * A local logs API: serves `explorer.logs` page by page, after answering
+ * with each of `explorer.replies` ({ status, body }) first
+ */
+const explorer = { logs: [], replies: [], requests: [] };
+
+const server = http.createServer((req, res) => {
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    explorer.requests.push(Object.fromEntries(query));
+    
+    const { status = 200, body } = explorer.replies.shift() ?? (() => {
+        const fromBlock = Number(query.get('fromBlock'));
+        const toBlock = Number(query.get('toBlock'));
+        const offset = Number(query.get('offset'));
+        const page = Number(query.get('page'));
+        
+        const logs = explorer.logs.filter(log => Number(log.blockNumber) >= fromBlock && Number(log.blockNumber) <= toBlock);
+        const result = logs.slice((page - 1) * offset, page * offset);
+        return { body: result.length > 0 ? { status: '1', message: 'OK', result } : { status: '0', message: 'No records found', result: [] } };
+    })();
+    
+    res.statusCode = status;
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify(body));
+});
+
+let url;
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+beforeEach(() => {
+    explorer.logs = [];
+    explorer.replies = [];
+    explorer.requests = [];
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+// A fresh config per test, so each gets its own backend; a window is 2 pages of 2 logs
+function explorerSource() {
+    return getLogSource({ type: 'explorer', url, apiKey: 'test', pageSize: 2, maxResults: 4, maxRps: 1000 });
+}
+
+test('explorer windows drop the last, possibly partial block and continue from it', async () => {
+    explorer.logs = explorerLogs({ 1: 1, 2: 2, 3: 2, 4: 1, 5: 1 });
+    const chunks = [];
+    
+    const logs = await explorerSource().fetchLogs(null, FILTER, 1, 10, {
+        onChunk: (chunk, fromBlock, toBlock) => chunks.push([fromBlock, toBlock, chunk.length])
+    });
+    
+    assert.deepEqual(chunks, [[1, 2, 3], [3, 4, 3], [5, 10, 1]]);
+    assert.deepEqual(logs.map(log => [log.blockNumber, log.logIndex]), [[1, 0], [2, 0], [2, 1], [3, 0], [3, 1], [4, 0], [5, 0]]);
+    assert.deepEqual(explorer.requests.map(request => [request.fromBlock, request.page]), [
+        ['1', '1'], ['1', '2'], ['3', '1'], ['3', '2'], ['5', '1']
+    ]);
+});
+
+test('explorer fails a block with more logs than the result window', async () => {
+    explorer.logs = explorerLogs({ 7: 5 });
+    
+    const error = await explorerSource().fetchLogs(null, FILTER, 7, 8).catch(error => error);
+    
+    assert.ok(error instanceof RangeScanError);
+    assert.deepEqual([error.failedRanges[0].fromBlock, error.failedRanges[0].toBlock], [7, 8]);
+    assert.match(error.failedRanges[0].reason, /Block 7 alone has more than 4 logs/);
+});
+
+test('explorer retries rate limits and server errors', async () => {
+    explorer.logs = explorerLogs({ 1: 1 });
+    explorer.replies = [
+        { body: { status: '0', message: 'NOTOK', result: 'Max rate limit reached' } },
+        { status: 502, body: {} }
+    ];
+    
+    const logs = await explorerSource().fetchLogs(null, FILTER, 1, 1);
+    
+    assert.equal(logs.length, 1);
+    assert.equal(explorer.requests.length, 3);
+});
+
+test('explorer does not retry a request it rejects', async () => {
+    explorer.replies = [{ body: { status: '0', message: 'NOTOK', result: 'Invalid API Key' } }];
+    const error = await explorerSource().fetchLogs(null, FILTER, 1, 1).catch(error => error);
+    
+    assert.ok(error instanceof RangeScanError);
+    assert.match(error.failedRanges[0].reason, /Invalid API Key/);
+    assert.equal(explorer.requests.length, 1);
+    
+    explorer.requests = [];
+    explorer.replies = [{ status: 403, body: {} }];
+    await assert.rejects(explorerSource().fetchLogs(null, FILTER, 1, 1), /HTTP 403/);
+    assert.equal(explorer.requests.length, 1);
+});
+
+test('NDJSON and CSV dumps normalize to the same logs', async () => {
+    const expected = [
+        {
+            blockNumber: 100,
+            blockHash: '0x1010101010101010101010101010101010101010101010101010101010101010',
+            transactionHash: '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa',
+            transactionIndex: 0,
+            logIndex: 0,
+            address: VAULT,
+            topics: [TRANSFER_TOPIC, ethers.zeroPadValue(ethers.ZeroAddress, 32), ethers.zeroPadValue('0x' + '11'.repeat(20), 32)],
+            data: ethers.toBeHex(100, 32)
+        },
+        {
+            blockNumber: 100,
+            blockHash: '0x1010101010101010101010101010101010101010101010101010101010101010',
+            transactionHash: '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb',
+            transactionIndex: 1,
+            logIndex: 1,
+            address: VAULT,
+            topics: [TRANSFER_TOPIC, ethers.zeroPadValue('0x' + '11'.repeat(20), 32), ethers.zeroPadValue('0x' + '22'.repeat(20), 32)],
+            data: ethers.toBeHex(50, 32)
+        }
+    ];
+    
+    for (const file of ['logs.ndjson', 'logs.csv']) {
+        const source = getLogSource({ type: 'file', path: path.join(FIXTURES, file), toBlock: 110 });
+        const logs = await source.fetchLogs(null, FILTER, 100, 110);
+        
+        // The third log is a Deposit, left out by the Transfer filter
+        assert.deepEqual(logs, expected, file);
+    }
+});
+
+test('dumps refuse ranges past the block they cover', async () => {
+    const source = getLogSource({ type: 'file', path: path.join(FIXTURES, 'logs.csv'), toBlock: 110 });
+    
+    const error = await source.fetchLogs(null, FILTER, 100, 120).catch(error => error);
+    
+    assert.ok(error instanceof RangeScanError);
+    assert.deepEqual([error.failedRanges[0].fromBlock, error.failedRanges[0].toBlock], [111, 120]);
+});
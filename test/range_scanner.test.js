@@ -0,0 +1,78 @@
+import assert from 'assert/strict';
+import { ethers } from 'ethers';
+import { test } from 'node:test';
+import { RangeScanError, scanLogs } from '../lib/range_scanner.js';
+
+const ADDRESS = '0x7B5A0182E400b241b317e781a4e9dEdFc1429822';
+const FILTER = { address: ADDRESS, topics: [ethers.id('Transfer(address,address,uint256)')] };
+
+// Fast retries and no periodic progress lines
+const SCAN_OPTIONS = { concurrency: 1, initialChunkSize: 2, maxRetries: 1, baseDelayMs: 1, maxDelayMs: 1, progressIntervalMs: 60000 };
+
+/**
+ * An in-memory chain with one log per block, answering getLogs like an RPC node
+ *
+ * `failing` blocks make every request covering them fail; a request for more
+ * than `maxResults` logs is refused the way providers do.
+ */
+function fakeProvider({ head = 10, failing = [], maxResults = Infinity } = {}) {
+    const logs = Array.from({ length: head }, (_, i) => ({
+        blockNumber: i + 1,
+        blockHash: ethers.id(`block ${i + 1}`),
+        transactionHash: ethers.id(`tx ${i + 1}`),
+        transactionIndex: 0,
+        index: 0,
+        address: ADDRESS,
+        topics: FILTER.topics,
+        data: '0x'
+    }));
+    
+    return {
+        requests: [],
+        failing: new Set(failing),
+        async getLogs({ fromBlock, toBlock }) {
+            this.requests.push([fromBlock, toBlock]);
+            for (let block = fromBlock; block <= toBlock; block++) {
+                if (this.failing.has(block)) throw new Error('internal error');
+            }
+            
+            const found = logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+            if (found.length > maxResults) {
+                throw new Error(`query returned more than ${maxResults} results`);
+            }
+            return found;
+        }
+    };
+}
+
+test('scanLogs splits a range with too many results and returns every log in order', async () => {
+    const provider = fakeProvider({ maxResults: 1 });
+    
+    const logs = await scanLogs(provider, FILTER, 1, 10, { ...SCAN_OPTIONS, initialChunkSize: 4 });
+    
+    assert.deepEqual(logs.map(log => log.blockNumber), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.deepEqual(provider.requests.slice(0, 3), [[1, 4], [1, 2], [3, 4]]);
+});
+
+test('scanLogs keeps scanning past a failed range and reports it', async () => {
+    const provider = fakeProvider({ failing: [5] });
+    const chunks = [];
+    
+    const error = await scanLogs(provider, FILTER, 1, 10, {
+        ...SCAN_OPTIONS,
+        onChunk: (logs, fromBlock, toBlock) => chunks.push([fromBlock, toBlock])
+    }).catch(error => error);
+    
+    assert.ok(error instanceof RangeScanError);
+    assert.deepEqual(error.failedRanges.map(range => [range.fromBlock, range.toBlock]), [[5, 6]]);
+    assert.deepEqual(chunks, [[1, 2], [3, 4], [7, 8], [9, 10]]);
+});
+
+test('scanLogs fails a single block that still has too many results', async () => {
+    const provider = fakeProvider({ maxResults: 0 });
+    
+    const error = await scanLogs(provider, FILTER, 1, 1, SCAN_OPTIONS).catch(error => error);
+    
+    assert.ok(error instanceof RangeScanError);
+    assert.match(error.failedRanges[0].reason, /minimum chunk size/);
+});
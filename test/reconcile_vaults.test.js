@@ -0,0 +1,162 @@
+import assert from 'assert/strict';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import http from 'http';
+import { after, before, beforeEach, test } from 'node:test';
+import os from 'os';
+import path from 'path';
+import { VAULT_EVENTS } from '../fetch_vault_balance.js';
+import { runReconcile } from '../reconcile_vaults.js';
+
+const VAULT = '0x7B5A0182E400b241b317e781a4e9dEdFc1429822';
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+const HEAD = 100;
+const SNAPSHOT_BLOCK = 50;
+
+const vaultInterface = new ethers.Interface([
+    ...VAULT_EVENTS.map(event => `event ${event}`),
+    'function balanceOf(address) view returns (uint256)',
+    'function totalSupply() view returns (uint256)',
+    'function totalAssets() view returns (uint256)',
+    'function convertToAssets(uint256 shares) view returns (uint256)'
+]);
+
+// Alice is minted 100 shares and Bob 50; the chain reports Bob one share short
+const MINTS = [[10, ALICE, 100n], [20, BOB, 50n]];
+const BALANCES = { [ALICE.toLowerCase()]: 100n, [BOB.toLowerCase()]: 49n };
+const TOTAL_SUPPLY = 150n;
+
+function blockHash(block) {
+    return ethers.id(`block ${block}`);
+}
+
+function transferLog([block, to, shares]) {
+    const { data, topics } = vaultInterface.encodeEventLog('Transfer', [ethers.ZeroAddress, to, shares]);
+    return {
+        address: VAULT,
+        topics,
+        data,
+        blockNumber: ethers.toQuantity(block),
+        blockHash: blockHash(block),
+        transactionHash: ethers.id(`tx ${block}`),
+        transactionIndex: '0x0',
+        logIndex: '0x0',
+        removed: false
+    };
+}
+
+function readCall({ data }) {
+    const call = vaultInterface.parseTransaction({ data });
+    const result = {
+        balanceOf: () => BALANCES[call.args[0].toLowerCase()] ?? 0n,
+        totalSupply: () => TOTAL_SUPPLY,
+        totalAssets: () => TOTAL_SUPPLY * 2n,
+        convertToAssets: () => call.args[0] * 2n
+    }[call.name]();
+    return vaultInterface.encodeFunctionResult(call.name, [result]);
+}
+
+/**
+ * Answer one JSON-RPC request for a chain holding only the vault's mints
+ */
+function answer({ method, params }) {
+    switch (method) {
+        case 'eth_chainId': return '0x1';
+        case 'eth_blockNumber': return ethers.toQuantity(HEAD);
+        case 'eth_getBlockByNumber': {
+            const block = params[0] === 'finalized' ? HEAD : Number(params[0]);
+            return {
+                number: ethers.toQuantity(block),
+                hash: blockHash(block),
+                parentHash: blockHash(block - 1),
+                timestamp: ethers.toQuantity(1700000000 + block * 12),
+                nonce: '0x0000000000000000',
+                difficulty: '0x0',
+                gasLimit: '0x0',
+                gasUsed: '0x0',
+                miner: ethers.ZeroAddress,
+                extraData: '0x',
+                baseFeePerGas: '0x0',
+                transactions: []
+            };
+        }
+        case 'eth_getLogs': {
+            const { fromBlock, toBlock } = params[0];
+            return MINTS.filter(([block]) => block >= Number(fromBlock) && block <= Number(toBlock)).map(transferLog);
+        }
+        case 'eth_call': return readCall(params[0]);
+        default: throw new Error(`Unsupported method ${method}`);
+    }
+}
+
+function rpcServer() {
+    return http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const reply = request => {
+                try {
+                    return { jsonrpc: '2.0', id: request.id, result: answer(request) };
+                } catch (error) {
+                    return { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: error.message } };
+                }
+            };
+            const payload = JSON.parse(body);
+            res.setHeader('content-type', 'application/json');
+            res.end(JSON.stringify(Array.isArray(payload) ? payload.map(reply) : reply(payload)));
+        });
+    });
+}
+
+let server;
+let workDir;
+let campaign;
+const startDir = process.cwd();
+
+before(async () => {
+    server = rpcServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    // The log cache lives under the working directory
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reconcile-test-'));
+    process.chdir(workDir);
+    
+    campaign = {
+        rpcUrls: [`http://127.0.0.1:${server.address().port}`],
+        rpcPool: {},
+        chainId: 1,
+        vaults: { addresses: [VAULT], fromBlock: 1, toBlock: SNAPSHOT_BLOCK },
+        outputDir: path.join(workDir, 'out')
+    };
+});
+
+beforeEach(() => {
+    process.exitCode = undefined;
+});
+
+after(() => {
+    process.exitCode = undefined;
+    process.chdir(startDir);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    server.closeAllConnections();
+    server.close();
+});
+
+test('runReconcile fails the run on a balance mismatch', async () => {
+    const passed = await runReconcile(campaign);
+    
+    assert.equal(passed, false);
+    assert.equal(process.exitCode, 1);
+    
+    const report = fs.readFileSync(path.join(campaign.outputDir, `reconciliation-${SNAPSHOT_BLOCK}.csv`), 'utf8');
+    assert.match(report, new RegExp(`balanceOf,${BOB},49,50,1,mismatch`));
+    assert.match(report, /totalSupply,.*,150,150,0,ok/);
+});
+
+test('runReconcile accepts a difference within the tolerance', async () => {
+    const passed = await runReconcile(campaign, { tolerance: '1' });
+    
+    assert.equal(passed, true);
+    assert.equal(process.exitCode, undefined);
+});
@@ -0,0 +1,206 @@
+import assert from 'assert/strict';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import http from 'http';
+import { after, before, test } from 'node:test';
+import os from 'os';
+import path from 'path';
+import { VAULT_EVENTS } from '../fetch_vault_balance.js';
+import { runWatch } from '../watch.js';
+
+const VAULT = '0x7B5A0182E400b241b317e781a4e9dEdFc1429822';
+const ASSET = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+const CAROL = '0x3333333333333333333333333333333333333333';
+
+const vaultInterface = new ethers.Interface([
+    ...VAULT_EVENTS.map(event => `event ${event}`),
+    'function totalSupply() view returns (uint256)',
+    'function convertToAssets(uint256 shares) view returns (uint256)',
+    'function asset() view returns (address)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)'
+]);
+
+/**
+ * A chain that only holds the vault's mints; moving `head` adds blocks and
+ * `reorg(block)` gives every block from `block` on a new hash
+ */
+const chain = {
+    head: 20,
+    mints: [[10, ALICE, 100n]],
+    forks: [],
+    hash(block) {
+        const fork = this.forks.filter(forkBlock => forkBlock <= block).length;
+        return ethers.id(`block ${block} fork ${fork}`);
+    },
+    reorg(block, mints) {
+        this.forks.push(block);
+        this.mints = [...this.mints.filter(([mintBlock]) => mintBlock < block), ...mints];
+    }
+};
+
+function transferLog([block, to, shares]) {
+    const { data, topics } = vaultInterface.encodeEventLog('Transfer', [ethers.ZeroAddress, to, shares]);
+    return {
+        address: VAULT,
+        topics,
+        data,
+        blockNumber: ethers.toQuantity(block),
+        blockHash: chain.hash(block),
+        transactionHash: ethers.id(`tx ${block}`),
+        transactionIndex: '0x0',
+        logIndex: '0x0',
+        removed: false
+    };
+}
+
+function readCall({ to, data }, blockTag) {
+    const call = vaultInterface.parseTransaction({ data });
+    const supply = () => chain.mints
+        .filter(([block]) => blockTag === 'latest' || block <= Number(blockTag))
+        .reduce((sum, [, , shares]) => sum + shares, 0n);
+    const result = {
+        totalSupply: supply,
+        convertToAssets: () => call.args[0],
+        asset: () => ASSET,
+        symbol: () => (to.toLowerCase() === VAULT.toLowerCase() ? 'vUSDC' : 'USDC'),
+        decimals: () => 6n
+    }[call.name]();
+    return vaultInterface.encodeFunctionResult(call.name, [result]);
+}
+
+function answer({ method, params }) {
+    switch (method) {
+        case 'eth_chainId': return '0x1';
+        case 'eth_blockNumber': return ethers.toQuantity(chain.head);
+        case 'eth_getBlockByNumber': {
+            const block = params[0] === 'latest' ? chain.head : Number(params[0]);
+            if (block > chain.head) return null;
+            return {
+                number: ethers.toQuantity(block),
+                hash: chain.hash(block),
+                parentHash: chain.hash(block - 1),
+                timestamp: ethers.toQuantity(1700000000 + block * 12),
+                nonce: '0x0000000000000000',
+                difficulty: '0x0',
+                gasLimit: '0x0',
+                gasUsed: '0x0',
+                miner: ethers.ZeroAddress,
+                extraData: '0x',
+                baseFeePerGas: '0x0',
+                transactions: []
+            };
+        }
+        case 'eth_getLogs': {
+            const { fromBlock, toBlock } = params[0];
+            return chain.mints.filter(([block]) => block >= Number(fromBlock) && block <= Number(toBlock)).map(transferLog);
+        }
+        case 'eth_call': return readCall(params[0], params[1]);
+        default: throw new Error(`Unsupported method ${method}`);
+    }
+}
+
+const rpc = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+        const reply = request => {
+            try {
+                return { jsonrpc: '2.0', id: request.id, result: answer(request) };
+            } catch (error) {
+                return { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: error.message } };
+            }
+        };
+        const payload = JSON.parse(body);
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify(Array.isArray(payload) ? payload.map(reply) : reply(payload)));
+    });
+});
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+/**
+ * Ask the query API until `check` accepts the answer, or fail after `timeoutMs`
+ */
+async function waitFor(url, check, timeoutMs = 15000) {
+    const deadline = Date.now() + timeoutMs;
+    let last;
+    
+    while (Date.now() < deadline) {
+        const response = await fetch(url).catch(() => null);
+        last = response ? await response.json() : null;
+        if (last && check(last)) return last;
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    assert.fail(`${url} never matched; last answer: ${JSON.stringify(last)}`);
+}
+
+let workDir;
+const startDir = process.cwd();
+
+before(() => {
+    // The log and token caches live under the working directory
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-test-'));
+    process.chdir(workDir);
+});
+
+after(() => {
+    process.chdir(startDir);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    rpc.closeAllConnections();
+    rpc.close();
+});
+
+test('watch applies new blocks and reorgs to the query API', async () => {
+    const rpcPort = await listen(rpc);
+    
+    // Take a free port for the query API
+    const probe = http.createServer();
+    const apiPort = await listen(probe);
+    await new Promise(resolve => probe.close(resolve));
+    
+    const campaign = {
+        name: 'watch-test',
+        rpcUrls: [`http://127.0.0.1:${rpcPort}`],
+        rpcPool: {},
+        chainId: 1,
+        finality: 'latest',
+        vaults: { addresses: [VAULT], fromBlock: 1 },
+        outputDir: path.join(workDir, 'out')
+    };
+    const watching = runWatch(campaign, { poll: '1', writeEvery: '1', port: String(apiPort), host: '127.0.0.1' });
+    const api = `http://127.0.0.1:${apiPort}`;
+    
+    try {
+        let body = await waitFor(`${api}/users/${ALICE}/vaults`, answer => answer.data?.length === 1);
+        assert.equal(body.meta.block, 20);
+        assert.equal(body.data[0].shares, '100');
+        
+        // New blocks: Bob's mint shows up once the head passes it
+        chain.head = 30;
+        chain.mints.push([25, BOB, 50n]);
+        body = await waitFor(`${api}/users/${BOB}/vaults`, answer => answer.data?.length === 1);
+        assert.equal(body.meta.block, 30);
+        assert.equal(body.data[0].shares, '50');
+        
+        // A reorg from block 24 replaces Bob's mint with Carol's
+        chain.reorg(24, [[27, CAROL, 70n]]);
+        chain.head = 31;
+        body = await waitFor(`${api}/users/${CAROL}/vaults`, answer => answer.data?.length === 1);
+        assert.equal(body.meta.block, 31);
+        assert.equal(body.data[0].shares, '70');
+        
+        body = await waitFor(`${api}/users/${BOB}/vaults`, () => true);
+        assert.deepEqual(body.data, []);
+        
+        const status = JSON.parse(fs.readFileSync(path.join(campaign.outputDir, 'watch_status.json'), 'utf8'));
+        assert.equal(status.vaultEvents[VAULT], 2);
+    } finally {
+        process.emit('SIGTERM', 'SIGTERM');
+        await watching;
+    }
+});
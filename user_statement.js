@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/**
+ * Script to build one user's statement across krates deposits and vault holdings
+ *
+ * Lists every event involving the user in chronological order with the
+ * balance it changed, then the user's balances at the snapshot blocks and the
+ * eligibility rules that excluded or capped them.
+ */
+
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { groupEligibleDeposits, loadKratesEvents } from './fetch_krates_events.js';
+import { buildShareLedger, getSharePrice, ledgerPositions, loadVaultEvents } from './fetch_vault_balance.js';
+import { getAddressLabels, labelsEnabled } from './lib/address_labels.js';
+import { loadAttributionRules } from './lib/attribution.js';
+import { getBlockTimestamps } from './lib/block_times.js';
+import { writeFileAtomic } from './lib/csv.js';
+import { applyEligibility, loadEligibilityRules, saveAuditToFile } from './lib/eligibility.js';
+import { getFinalBlock, resolveToBlock } from './lib/finality.js';
+import { getProvider } from './lib/provider.js';
+import { formatAmount, getTokenMetadata, getVaultAsset } from './lib/token_metadata.js';
+
+function sameAddress(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * The user's side of a formatted vault event, or null when it does not involve them
+ */
+function vaultEntry(user, event) {
+    if (event.eventType === 'ShareTransfer') {
+        const sent = sameAddress(event.caller, user);
+        const received = sameAddress(event.receiver, user);
+        if (!sent && !received) return null;
+        
+        const shares = BigInt(event.shares);
+        return { from: event.caller, to: event.receiver, change: (received ? shares : 0n) - (sent ? shares : 0n) };
+    }
+    
+    const parties = [event.caller, event.owner, event.receiver];
+    if (!parties.some(party => party && sameAddress(party, user))) return null;
+    
+    return event.eventType === 'Deposit'
+        ? { from: event.caller, to: event.owner, change: 0n }
+        : { from: event.owner, to: event.receiver, change: 0n };
+}
+
+/**
+ * Build a user's chronological statement from formatted krates and vault events
+ */
+export function buildStatement(user, kratesEvents, vaults) {
+    const entries = [];
+    
+    for (const event of kratesEvents) {
+        if (!sameAddress(event.user, user)) continue;
+        entries.push({
+            source: 'krates',
+            event: 'DepositProcessed',
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            logIndex: event.logIndex,
+            vault: '',
+            asset: event.asset,
+            from: event.user,
+            to: '',
+            referral: event.referral,
+            assets: BigInt(event.amount),
+            shares: 0n,
+            change: BigInt(event.amount)
+        });
+    }
+    
+    for (const { vault, asset, events } of vaults) {
+        for (const event of events) {
+            const entry = vaultEntry(user, event);
+            if (!entry) continue;
+            entries.push({
+                source: 'vault',
+                event: event.eventType,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash,
+                logIndex: event.logIndex,
+                vault,
+                asset,
+                ...entry,
+                referral: '',
+                assets: BigInt(event.assets),
+                shares: BigInt(event.shares)
+            });
+        }
+    }
+    
+    // One chain, so block and log index order is the order things happened in
+    entries.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    
+    const balances = new Map();
+    for (const entry of entries) {
+        const key = entry.source === 'krates' ? `krates-${entry.asset}` : `vault-${entry.vault}`;
+        entry.balance = (balances.get(key) || 0n) + entry.change;
+        balances.set(key, entry.balance);
+    }
+    
+    return entries;
+}
+
+/**
+ * The token a statement entry's balance is counted in: the asset for krates, the vault's shares otherwise
+ */
+function balanceToken(entry) {
+    return entry.source === 'krates' ? entry.asset : entry.vault;
+}
+
+/**
+ * Save the statement entries to CSV file
+ */
+export function saveStatementToFile(entries, tokens, timestamps, filename) {
+    try {
+        const csvHeader = 'block_number,timestamp,time,transaction_hash,log_index,source,event,vault,asset,symbol,from,to,referral,assets,shares,change,balance,balance_formatted\n';
+        
+        const csvRows = entries.map(entry => {
+            const timestamp = timestamps[entry.blockNumber];
+            const token = tokens[balanceToken(entry)];
+            return `${entry.blockNumber},${timestamp},${new Date(timestamp * 1000).toISOString()},${entry.transactionHash},${entry.logIndex},${entry.source},${entry.event},${entry.vault},${entry.asset},${tokens[entry.asset]?.symbol || ''},${entry.from},${entry.to},${entry.referral},${entry.assets},${entry.shares},${entry.change},${entry.balance},${token ? formatAmount(entry.balance, token.decimals) : ''}`;
+        }).join('\n');
+        
+        writeFileAtomic(filename, csvHeader + csvRows);
+        console.log(`Saved ${entries.length} statement entries to ${filename}`);
+    } catch (error) {
+        console.error(`Error saving statement to file: ${error.message}`);
+    }
+}
+
+/**
+ * Save the whole statement (entries, final balances and exclusions) to JSON file
+ */
+export function saveStatementJson(statement, filename) {
+    try {
+        const json = JSON.stringify(statement, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2);
+        writeFileAtomic(filename, json);
+        console.log(`Saved statement to ${filename}`);
+    } catch (error) {
+        console.error(`Error saving statement to file: ${error.message}`);
+    }
+}
+
+/**
+ * Load the user's krates deposits and the eligibility rules that applied to them
+ */
+async function loadKratesPart(provider, campaign, user) {
+    const { toBlock = 'latest' } = campaign.krates;
+    const snapshotBlock = toBlock === 'latest' ? await getFinalBlock(provider, campaign.finality) : toBlock;
+    
+    console.log(`\n=== Loading krates deposits from ${campaign.krates.address} up to block ${snapshotBlock} ===`);
+    const events = (await loadKratesEvents(provider, { ...campaign, krates: { ...campaign.krates, toBlock: snapshotBlock } }))
+        .filter(event => sameAddress(event.user, user));
+    
+    const labels = labelsEnabled(campaign) ? await getAddressLabels(provider, [user], snapshotBlock) : null;
+    const { audit } = groupEligibleDeposits(events, loadEligibilityRules(campaign, 'krates'), snapshotBlock, labels);
+    
+    return { snapshotBlock, events, audit };
+}
+
+/**
+ * Load every vault's events and the user's position in it, with the eligibility rules that applied
+ */
+async function loadVaultsPart(provider, campaign, user) {
+    const { addresses, fromBlock, toBlock } = campaign.vaults;
+    const snapshotBlock = await resolveToBlock(provider, toBlock, campaign.finality);
+    const rules = loadEligibilityRules(campaign, 'vaults');
+    const labels = labelsEnabled(campaign) ? await getAddressLabels(provider, [user], snapshotBlock) : null;
+    
+    const vaults = [];
+    const positions = [];
+    const audit = [];
+    
+    for (const vaultAddress of addresses) {
+        console.log(`\n=== Loading vault events for ${vaultAddress} up to block ${snapshotBlock} ===`);
+        
+        // The whole ledger is needed to follow the user's shares through transfers
+        const events = await loadVaultEvents(provider, vaultAddress, fromBlock, snapshotBlock, loadAttributionRules(campaign), campaign.logSource);
+        const asset = await getVaultAsset(provider, vaultAddress);
+        vaults.push({ vault: vaultAddress, asset, events });
+        
+        const sharePrice = await getSharePrice(provider, vaultAddress, snapshotBlock);
+        const cutoffLedger = rules.cutoffBlock !== undefined && rules.cutoffBlock < snapshotBlock
+            ? buildShareLedger(events.filter(event => event.blockNumber <= rules.cutoffBlock))
+            : null;
+        const position = ledgerPositions(buildShareLedger(events), sharePrice, cutoffLedger)
+            .find(candidate => sameAddress(candidate.user, user));
+        if (!position) continue;
+        
+        position.asset = asset;
+        if (labels) {
+            position.label = labels[ethers.getAddress(user)];
+        }
+        positions.push({ vault: vaultAddress, asset, shares: position.shares, assets: position.amount });
+        
+        const result = applyEligibility([position], rules, snapshotBlock);
+        audit.push(...result.audit.map(entry => ({ ...entry, source: `vault:${vaultAddress}` })));
+    }
+    
+    return { snapshotBlock, vaults, positions, audit };
+}
+
+/**
+ * Build, print and save a user's statement for a campaign
+ */
+export async function runStatement(campaign, userAddress) {
+    if (!campaign.krates && !campaign.vaults) {
+        throw new Error(`Campaign "${campaign.name}" has neither krates nor vaults to build a statement from`);
+    }
+    
+    const user = ethers.getAddress(userAddress);
+    const provider = await getProvider(campaign.rpcUrls, campaign.rpcPool, campaign.chainId);
+    
+    const krates = campaign.krates ? await loadKratesPart(provider, campaign, user) : null;
+    const vaults = campaign.vaults ? await loadVaultsPart(provider, campaign, user) : null;
+    
+    const entries = buildStatement(user, krates?.events || [], vaults?.vaults || []);
+    const audit = [...(krates?.audit || []), ...(vaults?.audit || [])];
+    
+    // Deposit totals per asset from the running balances
+    const deposited = new Map();
+    for (const entry of entries.filter(entry => entry.source === 'krates')) {
+        deposited.set(entry.asset, entry.balance);
+    }
+    
+    const tokenAddresses = [...new Set(entries.flatMap(entry => [entry.asset, entry.vault]).filter(Boolean))];
+    const tokens = await getTokenMetadata(provider, tokenAddresses);
+    const timestamps = await getBlockTimestamps(provider, entries.map(entry => entry.blockNumber));
+    
+    const fmt = (amount, address) => {
+        const token = tokens[address];
+        return token ? `${formatAmount(amount, token.decimals)} ${token.symbol}` : amount.toString();
+    };
+    
+    // Print the statement
+    console.log(`\nStatement for ${user}:`);
+    if (entries.length === 0) {
+        console.log("  No krates deposits or vault events found for this address.");
+    }
+    for (const entry of entries) {
+        const time = new Date(timestamps[entry.blockNumber] * 1000).toISOString();
+        const what = entry.source === 'krates'
+            ? `DepositProcessed ${fmt(entry.assets, entry.asset)}`
+            : `${entry.event} ${entry.vault.slice(0, 8)} ${entry.from} -> ${entry.to}, ${fmt(entry.shares, entry.vault)}`;
+        console.log(`  ${entry.blockNumber} ${time} ${what}; balance ${fmt(entry.balance, balanceToken(entry))} (tx ${entry.transactionHash})`);
+    }
+    
+    console.log("\nBalances:");
+    if (deposited.size === 0 && !vaults?.positions.length) {
+        console.log("  None at the snapshot blocks.");
+    }
+    for (const [asset, amount] of deposited) {
+        console.log(`  krates ${fmt(amount, asset)} deposited (block ${krates.snapshotBlock})`);
+    }
+    for (const position of vaults?.positions || []) {
+        console.log(`  vault ${position.vault}: ${fmt(position.shares, position.vault)}, worth ${fmt(position.assets, position.asset)} (block ${vaults.snapshotBlock})`);
+    }
+    
+    console.log("\nEligibility:");
+    if (audit.length === 0) {
+        console.log("  No exclusions or caps applied.");
+    }
+    for (const entry of audit) {
+        console.log(`  ${entry.source} ${entry.asset}: ${entry.action} by ${entry.rule} (${entry.detail})`);
+    }
+    
+    // Save the statement as CSV and JSON
+    fs.mkdirSync(campaign.outputDir, { recursive: true });
+    saveStatementToFile(entries, tokens, timestamps, path.join(campaign.outputDir, `statement_${user}.csv`));
+    saveAuditToFile(audit, path.join(campaign.outputDir, `statement_${user}_eligibility.csv`));
+    saveStatementJson({
+        user,
+        campaign: campaign.name,
+        chainId: campaign.chainId,
+        snapshotBlocks: { krates: krates?.snapshotBlock ?? null, vaults: vaults?.snapshotBlock ?? null },
+        entries: entries.map(entry => ({ ...entry, timestamp: timestamps[entry.blockNumber] })),
+        balances: {
+            krates: [...deposited].map(([asset, amount]) => ({ asset, amount })),
+            vaults: vaults?.positions || []
+        },
+        eligibility: audit
+    }, path.join(campaign.outputDir, `statement_${user}.json`));
+    
+    return { entries, audit };
+}
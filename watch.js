@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/**
+ * Script to keep krates totals and vault balances continuously up to date
+ *
+ * After an initial scan, the watcher polls for newly final blocks, applies
+ * their logs to the in-memory event history and rewrites the outputs at a
+ * fixed interval. A reorg of processed blocks drops their events so they are
+ * fetched again. SIGINT/SIGTERM write the outputs once more and exit.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { groupEligibleDeposits, loadKratesEvents, saveGroupedEventsToFile } from './fetch_krates_events.js';
+import { loadVaultEvents, saveVaultSnapshot } from './fetch_vault_balance.js';
+import { getAddressLabels, labelsEnabled } from './lib/address_labels.js';
+import { loadAttributionRules } from './lib/attribution.js';
+import { getBlockTimestamps } from './lib/block_times.js';
+import { ConfigError, loadConfig, resolveCampaign } from './lib/config.js';
+import { writeFileAtomic } from './lib/csv.js';
+import { loadEligibilityRules, saveAuditToFile } from './lib/eligibility.js';
+import { getFinalBlock } from './lib/finality.js';
+import { MAX_CHECKPOINTS } from './lib/log_cache.js';
+import { loadPriceTable, priceRecords } from './lib/pricing.js';
+import { getProvider } from './lib/provider.js';
+import { parsePort, startQueryServer } from './lib/query_api.js';
+import { getTokenMetadata } from './lib/token_metadata.js';
+
+export const DEFAULT_POLL_SECONDS = 12;
+export const DEFAULT_WRITE_SECONDS = 60;
+
+/**
+ * Parse a positive number of seconds from a flag, or fall back to a default
+ */
+function parseSeconds(value, flag, fallback) {
+    if (value === undefined) return fallback;
+    if (!/^\d+$/.test(value) || Number(value) === 0) {
+        throw new ConfigError(`Invalid ${flag} "${value}": expected a positive number of seconds`);
+    }
+    return Number(value);
+}
+
+/**
+ * Fetch the krates deposits of a block range, priced when the campaign has a price table
+ */
+async function fetchKratesRange(provider, campaign, fromBlock, toBlock, priceTable) {
+    const events = await loadKratesEvents(provider, {
+        ...campaign,
+        krates: { ...campaign.krates, fromBlock, toBlock }
+    });
+    if (!priceTable || events.length === 0) return events;
+    
+    const tokens = await getTokenMetadata(provider, events.map(event => event.asset));
+    const timestamps = await getBlockTimestamps(provider, events.map(event => event.blockNumber));
+    return priceRecords(events, { table: priceTable, tokens, timestamps });
+}
+
+/**
+ * Fetch every source's events in a block range as { krates, vaults }
+ *
+ * Nothing is applied here, so a failed poll leaves the state untouched.
+ */
+async function fetchRange(provider, campaign, fromBlock, toBlock, priceTable) {
+    const krates = campaign.krates
+        ? await fetchKratesRange(provider, campaign, fromBlock, toBlock, priceTable)
+        : [];
+    
+    const vaults = new Map();
+    for (const vaultAddress of campaign.vaults?.addresses || []) {
+        vaults.set(vaultAddress, await loadVaultEvents(provider, vaultAddress, fromBlock, toBlock, loadAttributionRules(campaign), campaign.logSource));
+    }
+    
+    return { krates, vaults };
+}
+
+/**
+ * Append fetched events to the in-memory history and advance the processed block
+ *
+ * `hash` is the hash of `toBlock`, kept to detect a later reorg.
+ */
+function applyRange(state, { krates, vaults }, toBlock, hash) {
+    state.krates.push(...krates);
+    
+    let applied = krates.length;
+    for (const [vaultAddress, events] of vaults) {
+        state.vaults.get(vaultAddress).push(...events);
+        applied += events.length;
+    }
+    
+    state.block = toBlock;
+    state.checkpoints = [...state.checkpoints, [toBlock, hash]].slice(-MAX_CHECKPOINTS);
+    return applied;
+}
+
+/**
+ * Drop the events of processed blocks that a reorg replaced; returns whether anything was dropped
+ */
+async function rollbackReorg(provider, state) {
+    const newestFirst = [...state.checkpoints].reverse();
+    
+    for (const [i, [block, hash]] of newestFirst.entries()) {
+        const current = await provider.getBlock(block);
+        if (current?.hash !== hash) continue;
+        if (i === 0) return false;
+        
+        console.warn(`Reorg detected: dropping events after block ${block}`);
+        state.krates = state.krates.filter(event => event.blockNumber <= block);
+        for (const [vaultAddress, events] of state.vaults) {
+            state.vaults.set(vaultAddress, events.filter(event => event.blockNumber <= block));
+        }
+        state.checkpoints = state.checkpoints.filter(([checkpoint]) => checkpoint <= block);
+        state.block = block;
+        return true;
+    }
+    
+    throw new Error(`Reorg deeper than the ${state.checkpoints.length} recorded blocks; restart the watcher to rescan`);
+}
+
+/**
+ * Read the hash of a block that is about to be processed
+ */
+async function blockHash(provider, block) {
+    const header = await provider.getBlock(block);
+    if (!header) {
+        throw new Error(`Block ${block} not found; the RPC endpoint may be behind`);
+    }
+    return header.hash;
+}
+
+/**
+ * Rewrite kraters_grouped.csv, the per-vault balances and their audits as of the processed block
+ */
+async function writeOutputs(provider, campaign, state, priceTable) {
+    const { outputDir } = campaign;
+    console.log(`\n--- Writing outputs at block ${state.block} ---`);
+    
+    const view = {
+        block: state.block,
+        updatedAt: new Date().toISOString(),
+        krates: [],
+        vaults: [],
+        tokens: {},
+        events: { krates: state.krates, vaults: state.vaults }
+    };
+    
+    if (campaign.krates) {
+        const tokens = await getTokenMetadata(provider, state.krates.map(event => event.asset));
+        const labels = labelsEnabled(campaign)
+            ? await getAddressLabels(provider, state.krates.map(event => event.user), state.block)
+            : null;
+        const { grouped, audit } = groupEligibleDeposits(state.krates, loadEligibilityRules(campaign, 'krates'), state.block, labels);
+        saveGroupedEventsToFile(grouped, path.join(outputDir, 'kraters_grouped.csv'), tokens);
+        saveAuditToFile(audit, path.join(outputDir, 'eligibility_audit_krates.csv'));
+        view.krates = grouped;
+        Object.assign(view.tokens, tokens);
+    }
+    
+    if (campaign.vaults) {
+        const audit = [];
+        for (const [vaultAddress, events] of state.vaults) {
+            if (events.length === 0) continue;
+            const snapshot = await saveVaultSnapshot(provider, campaign, vaultAddress, events, state.block, { priceTable, fileSuffix: 'latest' });
+            audit.push(...snapshot.audit);
+            view.vaults.push({ vault: vaultAddress, asset: snapshot.asset, positions: snapshot.positions });
+            Object.assign(view.tokens, snapshot.tokens);
+        }
+        saveAuditToFile(audit, path.join(outputDir, 'eligibility_audit_vaults.csv'));
+    }
+    
+    writeFileAtomic(path.join(outputDir, 'watch_status.json'), JSON.stringify({
+        block: view.block,
+        updatedAt: view.updatedAt,
+        kratesEvents: state.krates.length,
+        vaultEvents: Object.fromEntries([...state.vaults].map(([vaultAddress, events]) => [vaultAddress, events.length]))
+    }, null, 2));
+    
+    state.writtenBlock = state.block;
+    return view;
+}
+
+/**
+ * Watch a campaign's sources and keep its outputs current until SIGINT/SIGTERM
+ */
+export async function runWatch(campaign, { poll, writeEvery, port, host } = {}) {
+    const pollSeconds = parseSeconds(poll, '--poll', DEFAULT_POLL_SECONDS);
+    const writeSeconds = parseSeconds(writeEvery, '--write-every', DEFAULT_WRITE_SECONDS);
+    const apiPort = port !== undefined ? parsePort(port) : null;
+    
+    // A fixed end block leaves nothing to watch
+    for (const source of ['krates', 'vaults']) {
+        const toBlock = campaign[source]?.toBlock;
+        if (toBlock !== undefined && toBlock !== 'latest') {
+            throw new ConfigError(`watch follows the chain head, but ${source}.toBlock is fixed at ${toBlock}`);
+        }
+    }
+    
+    // Get provider connection
+    const provider = await getProvider(campaign.rpcUrls, campaign.rpcPool, campaign.chainId);
+    
+    fs.mkdirSync(campaign.outputDir, { recursive: true });
+    const priceTable = campaign.prices ? loadPriceTable(campaign.prices) : null;
+    
+    let stopping = false;
+    let wake = () => {};
+    const stop = signal => {
+        if (stopping) {
+            console.log(`Received ${signal} again, exiting without a final write`);
+            process.exit(130);
+        }
+        console.log(`\nReceived ${signal}, finishing the current cycle...`);
+        stopping = true;
+        wake();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+    
+    const sleep = seconds => new Promise(resolve => {
+        const timer = setTimeout(resolve, seconds * 1000);
+        wake = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+    });
+    
+    // Initial scan from each source's first block up to the final block
+    const startBlock = await getFinalBlock(provider, campaign.finality);
+    console.log(`\n=== Initial scan up to block ${startBlock} ===`);
+    const state = {
+        block: startBlock,
+        writtenBlock: null,
+        checkpoints: [[startBlock, await blockHash(provider, startBlock)]],
+        krates: campaign.krates
+            ? await fetchKratesRange(provider, campaign, campaign.krates.fromBlock, startBlock, priceTable)
+            : [],
+        vaults: new Map()
+    };
+    for (const vaultAddress of campaign.vaults?.addresses || []) {
+        state.vaults.set(vaultAddress, await loadVaultEvents(provider, vaultAddress, campaign.vaults.fromBlock, startBlock, loadAttributionRules(campaign), campaign.logSource));
+    }
+    
+    let view = await writeOutputs(provider, campaign, state, priceTable);
+    let lastWrite = Date.now();
+    
+    const server = apiPort !== null
+        ? await startQueryServer(campaign, () => view, { port: apiPort, host })
+        : null;
+    
+    console.log(`\n=== Watching for new blocks every ${pollSeconds}s, writing outputs every ${writeSeconds}s ===`);
+    
+    while (!stopping) {
+        await sleep(pollSeconds);
+        if (stopping) break;
+        
+        try {
+            await rollbackReorg(provider, state);
+            
+            const finalBlock = await getFinalBlock(provider, campaign.finality);
+            if (finalBlock > state.block) {
+                const fromBlock = state.block + 1;
+                const hash = await blockHash(provider, finalBlock);
+                const range = await fetchRange(provider, campaign, fromBlock, finalBlock, priceTable);
+                const applied = applyRange(state, range, finalBlock, hash);
+                console.log(`Applied ${applied} new logs from blocks ${fromBlock}-${finalBlock}`);
+            }
+            
+            if (state.block !== state.writtenBlock && Date.now() - lastWrite >= writeSeconds * 1000) {
+                view = await writeOutputs(provider, campaign, state, priceTable);
+                lastWrite = Date.now();
+            }
+        } catch (error) {
+            // Transient RPC failures should not end a long-running watcher
+            console.error(`Watch cycle failed: ${error.message}; retrying in ${pollSeconds}s`);
+        }
+    }
+    
+    if (server) {
+        await new Promise(resolve => server.close(resolve));
+    }
+    if (state.block !== state.writtenBlock) {
+        await writeOutputs(provider, campaign, state, priceTable);
+    }
+    
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+    provider.destroy();
+    console.log(`=== Stopped watching at block ${state.block} ===`);
+}
+
+/**
+ * Main function: watch the default campaign from campaigns.json
+ */
+async function main() {
+    try {
+        await runWatch(resolveCampaign(loadConfig()));
+    } catch (error) {
+        console.error(`Error in main function: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the script when executed directly (the CLI imports it instead)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}